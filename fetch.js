@@ -1,297 +1,3673 @@
 // Blaze-Cors: Node.js CORS Proxy with URL Rewriting - Single File Version
 // Usage: node fetch.js
-// Then: GET /q?url=https://example.com
+// Then: GET /p/https/example.com/ (or /q?url=https://example.com)
+// Or embedded: app.use('/proxy', require('./fetch').createProxy().router)
 
 const express = require('express');
 let fetch = require('node-fetch');
 if (fetch.default) fetch = fetch.default;
 const cheerio = require('cheerio');
 const url = require('url');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform, Readable, pipeline } = require('stream');
+const { AsyncLocalStorage } = require('async_hooks');
+const timersPromises = require('timers/promises');
+const WebSocket = require('ws');
+const acorn = require('acorn');
+const csstree = require('css-tree');
+const iconv = require('iconv-lite');
+const psl = require('psl');
+const { Parser } = require('htmlparser2');
 
-const app = express();
-const PORT = process.env.PORT || 3000;
-const PROXY_ENDPOINT = '/q';
+const WS_ENDPOINT = '/ws-proxy';
+const CLIENT_SCRIPT_ENDPOINT = '/blaze-client.js';
+const METRICS_ENDPOINT = '/metrics';
+const SESSION_COOKIE = 'blaze_sid';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
 
-// Allow CORS for all origins + remove CSP
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS,PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-YouTube-Client-Name, X-YouTube-Client-Version');
-  res.header('Access-Control-Allow-Credentials', 'true');
+// Settings. Each one has a default, which the config file overrides, which its environment variable
+// overrides, which options passed to createProxy() override. The config file is BLAZE_CONFIG (JSON,
+// or a JS module exporting an object), or blaze.config.json in the working directory if there is one.
+// Lists come from the environment comma-separated. Sending SIGHUP reads the file and environment again.
+const DEFAULT_CONFIG_FILE = 'blaze.config.json';
+
+// Upstream request header profiles. `default` applies to every request; the first other profile
+// whose `hosts` match the target is merged over it. `forward` lists client headers passed through
+// as they are (a trailing * matches a prefix), `rewrite` the ones mapped from the proxy back to the
+// upstream page (referer, origin), and `add` headers set when nothing else provides them. {name}
+// in an `add` value is replaced with that setting.
+const DEFAULT_HEADER_PROFILES = {
+  default: {
+    forward: [
+      'accept', 'accept-language', 'authorization', 'content-type', 'content-length', 'content-encoding',
+      'if-match', 'if-none-match', 'if-modified-since', 'if-unmodified-since', 'if-range', 'range', 'dnt', 'x-*'
+    ],
+    rewrite: ['referer', 'origin'],
+    add: { 'User-Agent': '{userAgent}', 'Accept-Language': '{acceptLanguage}' }
+  },
+  youtube: {
+    hosts: ['*.youtube.com', '*.youtube-nocookie.com', 'youtubei.googleapis.com', '*.googlevideo.com'],
+    add: { 'X-YouTube-Client-Name': '1', 'X-YouTube-Client-Version': '{youtubeClientVersion}' }
+  }
+};
+const REWRITABLE_HEADERS = ['referer', 'origin'];
+const CONFIG_SCHEMA = {
+  port: { type: 'integer', env: 'PORT', default: 3000, min: 1, max: 65535 },
+  proxyEndpoint: { type: 'string', env: 'PROXY_ENDPOINT', default: '/q', pattern: /^\/[\w.-]+$/ },
+  // Proxied URLs are generated as <pathPrefix>/https/example.com/path, see encodeTargetPath
+  pathPrefix: { type: 'string', env: 'PATH_PREFIX', default: '/p', pattern: /^\/[\w.-]+$/ },
+  urlEncoding: { type: 'string', env: 'URL_ENCODING', default: 'plain', values: ['plain', 'base64'] },
+  // Serve every upstream origin from its own subdomain of this domain (needs wildcard DNS and TLS),
+  // see isolatedBase. null serves everything from the host the request came in on.
+  isolationDomain: {
+    type: 'string',
+    env: 'ISOLATION_DOMAIN',
+    default: null,
+    nullable: true,
+    pattern: /^([a-z0-9-]+\.)*[a-z0-9-]+$/i,
+    normalize: domain => domain.toLowerCase()
+  },
+  // SameSite of the session cookie that the upstream cookie jar hangs off. 'none' lets pages on other
+  // sites make requests with the user's upstream cookies; it only takes effect over HTTPS.
+  sessionSameSite: { type: 'string', env: 'SESSION_SAME_SITE', default: 'lax', values: ['lax', 'strict', 'none'] },
+  logLevel: { type: 'string', env: 'LOG_LEVEL', default: 'info', values: ['debug', 'info', 'warn', 'error', 'silent'] },
+  
+  // What upstream requests look like
+  userAgent: {
+    type: 'string',
+    env: 'USER_AGENT',
+    default: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  },
+  acceptLanguage: { type: 'string', env: 'ACCEPT_LANGUAGE', default: 'en-US,en;q=0.9' },
+  youtubeClientVersion: { type: 'string', env: 'YOUTUBE_CLIENT_VERSION', default: '2.20231219.01.00' },
+  maxBodySize: { type: 'integer', env: 'MAX_BODY_SIZE', default: 50 * 1024 * 1024, min: 0 },
+  maxRedirects: { type: 'integer', env: 'MAX_REDIRECTS', default: 10, min: 0 },
+  
+  // Upstream connections. Times are in milliseconds, 0 turns a timeout off. The idle timeout is the
+  // longest wait for the next piece of a response body. Retries only happen for idempotent methods.
+  connectTimeout: { type: 'integer', env: 'CONNECT_TIMEOUT', default: 10000, min: 0 },
+  responseTimeout: { type: 'integer', env: 'RESPONSE_TIMEOUT', default: 30000, min: 0 },
+  idleTimeout: { type: 'integer', env: 'IDLE_TIMEOUT', default: 30000, min: 0 },
+  retries: { type: 'integer', env: 'UPSTREAM_RETRIES', default: 2, min: 0, max: 10 },
+  retryDelay: { type: 'integer', env: 'RETRY_DELAY', default: 250, min: 0 },
+  maxSocketsPerHost: { type: 'integer', env: 'MAX_SOCKETS_PER_HOST', default: 50, min: 1 },
+  
+  // Target policy: `*.example.com` also matches example.com itself
+  allowedHosts: { type: 'list', env: 'ALLOWED_HOSTS', default: [], normalize: hosts => hosts.map(h => h.toLowerCase()) },
+  blockedHosts: { type: 'list', env: 'BLOCKED_HOSTS', default: [], normalize: hosts => hosts.map(h => h.toLowerCase()) },
+  // Only for local development - lets the proxy reach loopback and private networks
+  allowPrivateAddresses: { type: 'boolean', env: 'ALLOW_PRIVATE_ADDRESSES', default: false },
+  
+  // Access control, see accessMiddleware. With API keys or a URL signing secret set, every request
+  // needs a key, a signed URL or a session that used one. Limits are per client (API key or address)
+  // and per upstream host: requests per minute, requests in flight and bytes per UTC day. 0 is no limit.
+  apiKeys: { type: 'list', env: 'API_KEYS', default: [] },
+  urlSigningSecret: { type: 'string', env: 'URL_SIGNING_SECRET', default: null, nullable: true },
+  // Seconds; signed URLs stay valid between one and two times this long
+  signedUrlTtl: { type: 'integer', env: 'SIGNED_URL_TTL', default: 86400, min: 60 },
+  clientRateLimit: { type: 'integer', env: 'CLIENT_RATE_LIMIT', default: 0, min: 0 },
+  clientConcurrency: { type: 'integer', env: 'CLIENT_CONCURRENCY', default: 0, min: 0 },
+  clientDailyBytes: { type: 'integer', env: 'CLIENT_DAILY_BYTES', default: 0, min: 0 },
+  hostRateLimit: { type: 'integer', env: 'HOST_RATE_LIMIT', default: 0, min: 0 },
+  hostConcurrency: { type: 'integer', env: 'HOST_CONCURRENCY', default: 0, min: 0 },
+  hostDailyBytes: { type: 'integer', env: 'HOST_DAILY_BYTES', default: 0, min: 0 },
+  // Bearer token for the metrics endpoint. Without one the metrics are open unless API keys or URL
+  // signing are set up; then only an API key reads them, and with signing alone nothing does.
+  metricsToken: { type: 'string', env: 'METRICS_TOKEN', default: null, nullable: true },
+  
+  // Response cache
+  cacheBackend: { type: 'string', env: 'CACHE_BACKEND', default: 'memory', values: ['memory', 'disk', 'none'] },
+  cacheDir: { type: 'string', env: 'CACHE_DIR', default: path.join(os.tmpdir(), 'blaze-cors-cache') },
+  cacheMaxBytes: { type: 'integer', env: 'CACHE_MAX_BYTES', default: 100 * 1024 * 1024, min: 0 },
+  cacheMaxEntryBytes: { type: 'integer', env: 'CACHE_MAX_ENTRY_BYTES', default: 5 * 1024 * 1024, min: 0 },
+  // Used when upstream sends no Cache-Control of its own
+  defaultMaxAge: { type: 'integer', env: 'DEFAULT_MAX_AGE', default: 3600, min: 0 },
+  
+  // Upstream request headers by target host. Profiles given here replace the built-in profile of
+  // the same name and keep the others.
+  headerProfiles: {
+    type: 'object',
+    env: 'HEADER_PROFILES',
+    default: DEFAULT_HEADER_PROFILES,
+    validate: checkHeaderProfiles,
+    normalize: profiles => ({ ...DEFAULT_HEADER_PROFILES, ...profiles })
+  },
+  
+  // Strip scripts, event handlers and embedded documents from proxied SVG, which would otherwise
+  // run on the proxy's origin
+  svgSanitize: { type: 'boolean', env: 'SVG_SANITIZE', default: false },
+  
+  // Upstream response headers that break embedded content
+  strippedHeaders: {
+    type: 'list',
+    env: 'STRIPPED_HEADERS',
+    default: ['content-security-policy', 'content-security-policy-report-only', 'x-frame-options', 'x-content-type-options', 'strict-transport-security'],
+    normalize: names => names.map(name => name.toLowerCase())
+  },
+  
+  // CORS. Origins are exact (https://app.example.com), wildcard subdomains (*.example.com or
+  // https://*.example.com), regexes (/^https:\/\/.+\.dev$/) or *. With credentials on, the
+  // request's Origin is reflected instead of *.
+  corsOrigins: { type: 'list', env: 'CORS_ORIGINS', default: ['*'] },
+  corsCredentials: { type: 'boolean', env: 'CORS_CREDENTIALS', default: false },
+  corsMethods: { type: 'list', env: 'CORS_METHODS', default: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'] },
+  // null echoes the preflight's Access-Control-Request-Headers
+  corsAllowedHeaders: { type: 'list', env: 'CORS_ALLOWED_HEADERS', default: null, nullable: true },
+  // So front ends can read what matters for media and caching
+  corsExposedHeaders: {
+    type: 'list',
+    env: 'CORS_EXPOSED_HEADERS',
+    default: ['Content-Range', 'Content-Length', 'Accept-Ranges', 'ETag', 'Last-Modified', 'X-Cache']
+  },
+  corsMaxAge: { type: 'integer', env: 'CORS_MAX_AGE', default: 600, min: 0 },
+  // Per-route overrides of the settings above, by path: { "/q": { "origins": [...], "credentials": true } }
+  corsRoutes: {
+    type: 'object',
+    env: 'CORS_ROUTES',
+    validate: checkCorsRoutes,
+    default: {
+      // Loaded with <script src> by every proxied page, never with cookies
+      [CLIENT_SCRIPT_ENDPOINT]: { origins: ['*'], credentials: false }
+    }
+  }
+};
+
+// Environment variables are strings; anything that doesn't convert is left for validation to reject
+function settingFromEnv(value, rule) {
+  switch (rule.type) {
+    case 'integer':
+      return /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+    case 'boolean':
+      if (/^(1|true|yes|on)$/i.test(value)) return true;
+      if (/^(0|false|no|off)$/i.test(value)) return false;
+      return value;
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    case 'object':
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+// What's wrong with a setting's value, or null
+function checkSetting(value, rule) {
+  if (value === null && rule.nullable) return null;
+  switch (rule.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `expected an integer, got ${JSON.stringify(value)}`;
+      if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `expected true or false, got ${JSON.stringify(value)}`;
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item === 'string')
+        ? null : 'expected a list of strings';
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'expected an object';
+      return rule.validate ? rule.validate(value) : null;
+    default:
+      if (typeof value !== 'string') return `expected a string, got ${JSON.stringify(value)}`;
+      if (rule.values && !rule.values.includes(value)) return `must be one of ${rule.values.join(', ')}`;
+      if (rule.pattern && !rule.pattern.test(value)) return `must match ${rule.pattern}`;
+      return null;
+  }
+}
+
+function checkHeaderProfiles(profiles) {
+  const isList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!profile || typeof profile !== 'object') return `profile ${name}: expected an object`;
+    const unknown = Object.keys(profile).find(key => !['hosts', 'forward', 'rewrite', 'add'].includes(key));
+    if (unknown) return `profile ${name}: unknown rule ${unknown}`;
+    const badList = ['hosts', 'forward', 'rewrite'].find(key => profile[key] !== undefined && !isList(profile[key]));
+    if (badList) return `profile ${name}: ${badList} must be a list of strings`;
+    const notRewritable = (profile.rewrite || []).find(header => !REWRITABLE_HEADERS.includes(header.toLowerCase()));
+    if (notRewritable) return `profile ${name}: can't rewrite ${notRewritable}, only ${REWRITABLE_HEADERS.join(', ')}`;
+    if (profile.add !== undefined &&
+        (typeof profile.add !== 'object' || !Object.values(profile.add).every(value => typeof value === 'string'))) {
+      return `profile ${name}: add must map header names to strings`;
+    }
+  }
+  return null;
+}
+
+// Per-route CORS overrides, each checked like the setting it overrides
+const CORS_ROUTE_SETTINGS = {
+  origins: 'corsOrigins',
+  credentials: 'corsCredentials',
+  methods: 'corsMethods',
+  allowedHeaders: 'corsAllowedHeaders',
+  exposedHeaders: 'corsExposedHeaders',
+  maxAge: 'corsMaxAge'
+};
+
+function checkCorsRoutes(routes) {
+  for (const [route, overrides] of Object.entries(routes)) {
+    if (!route.startsWith('/')) return `route ${route}: must be a path starting with /`;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return `route ${route}: expected an object`;
+    for (const [key, value] of Object.entries(overrides)) {
+      if (!CORS_ROUTE_SETTINGS[key]) return `route ${route}: unknown setting ${key}`;
+      const problem = checkSetting(value, CONFIG_SCHEMA[CORS_ROUTE_SETTINGS[key]]);
+      if (problem) return `route ${route}: ${key} ${problem}`;
+    }
+  }
+  return null;
+}
+
+// Build the settings from defaults, config file, environment and `options`. Throws an INVALID_CONFIG
+// error listing every problem rather than starting with half a configuration.
+function loadConfig(options = {}) {
+  const file = process.env.BLAZE_CONFIG || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  let fromFile = {};
+  const errors = [];
+  if (file) {
+    const resolved = path.resolve(file);
+    try {
+      if (/\.json$/i.test(resolved)) {
+        fromFile = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      } else {
+        // Fresh copy on every load so SIGHUP picks up edits
+        delete require.cache[resolved];
+        fromFile = require(resolved);
+      }
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+    }
+    Object.keys(fromFile).filter(key => !CONFIG_SCHEMA[key]).forEach(key => errors.push(`${key}: unknown setting in ${file}`));
+  }
+  Object.keys(options).filter(key => !CONFIG_SCHEMA[key]).forEach(key => errors.push(`${key}: unknown option`));
+  
+  const settings = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+    let value = rule.default;
+    let source = 'default';
+    if (key in fromFile) {
+      value = fromFile[key];
+      source = file;
+    }
+    if (process.env[rule.env]) {
+      value = settingFromEnv(process.env[rule.env], rule);
+      source = rule.env;
+    }
+    if (options[key] !== undefined) {
+      value = options[key];
+      source = 'options';
+    }
+    const problem = checkSetting(value, rule);
+    if (problem) {
+      errors.push(`${key} (from ${source}): ${problem}`);
+    } else {
+      settings[key] = rule.normalize && value !== null ? rule.normalize(value) : value;
+    }
+  });
+  
+  if (errors.length) {
+    const err = new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    err.code = 'INVALID_CONFIG';
+    err.problems = errors;
+    throw err;
+  }
+  return settings;
+}
+
+// Logging: one JSON object per line on stdout, for levels at or above the logLevel setting.
+// Anything logged while handling a request (the rewriters included) carries its requestId and route.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const requestContext = new AsyncLocalStorage();
+
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[config ? config.logLevel : 'info']) return;
+  const context = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, msg };
+  if (context) Object.assign(entry, { requestId: context.requestId, route: context.route });
+  for (const [key, value] of Object.entries(fields)) {
+    // Stacks only for real failures, expected ones (DNS, blocked targets) just need the message
+    if (value instanceof Error) {
+      entry[key] = { message: value.message, code: value.code, ...(level === 'error' && { stack: value.stack }) };
+    } else if (value !== undefined) {
+      entry[key] = value;
+    }
+  }
+  process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+const log = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields)
+};
+
+// The route label for metrics recorded in the current request, 'none' outside one
+function currentRoute() {
+  const context = requestContext.getStore();
+  return context ? context.route : 'none';
+}
+
+function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+// Metrics, kept in memory and served in the Prometheus text format at METRICS_ENDPOINT.
+// Series are keyed by their rendered label set.
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const metricFamilies = [];
+
+function labelString(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name, help) {
+  const series = new Map();
+  metricFamilies.push({
+    name,
+    help,
+    type: 'counter',
+    render: () => [...series].map(([labels, value]) => `${name}${labels} ${value}`)
+  });
+  return {
+    inc(labels, amount = 1) {
+      const key = labelString(labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    }
+  };
+}
+
+function createHistogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  metricFamilies.push({
+    name,
+    help,
+    type: 'histogram',
+    render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => `${name}_bucket${labelString({ ...labels, le })} ${counts[i]}`),
+      `${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${labelString(labels)} ${sum}`,
+      `${name}_count${labelString(labels)} ${count}`
+    ])
+  });
+  return {
+    observe(labels, value) {
+      const key = labelString(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+const metrics = {
+  requests: createCounter('blaze_requests_total', 'Requests handled, by route, method and status'),
+  requestDuration: createHistogram('blaze_request_duration_seconds', 'Time until the response was finished, by route'),
+  upstreamDuration: createHistogram('blaze_upstream_duration_seconds', 'Time until upstream response headers arrived, by route'),
+  retries: createCounter('blaze_upstream_retries_total', 'Upstream requests sent again after a failure, by route'),
+  bytes: createCounter('blaze_bytes_total', 'Body bytes received from upstream and sent to clients, by route and direction'),
+  errors: createCounter('blaze_errors_total', 'Requests that failed, by route and error class'),
+  cache: createCounter('blaze_cache_requests_total', 'Upstream fetches by cache result (HIT, MISS, REVALIDATED, BYPASS), by route'),
+  rewriteDuration: createHistogram('blaze_rewrite_duration_seconds', 'Time spent rewriting bodies, by route and kind')
+};
+
+function renderMetrics() {
+  return metricFamilies
+    .map(({ name, help, type, render }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render()].join('\n'))
+    .join('\n') + '\n';
+}
+
+// Count a failure under its error code (ENOTFOUND, TARGET_BLOCKED, ...), or 'internal' without one
+function recordError(err) {
+  metrics.errors.inc({ route: currentRoute(), class: (err && err.code) || 'internal' });
+}
+
+// Run a synchronous rewrite, timing it under `kind`
+function timeRewrite(kind, rewrite) {
+  const start = process.hrtime.bigint();
+  try {
+    return rewrite();
+  } finally {
+    metrics.rewriteDuration.observe({ route: currentRoute(), kind }, secondsSince(start));
+  }
+}
+
+let config;
+let configOptions = {};
+try {
+  config = loadConfig();
+} catch (err) {
+  if (require.main !== module) throw err;
+  log.error('Invalid configuration', { problems: err.problems || [err.message] });
+  process.exit(1);
+}
+
+// Swap in new settings. The cache is rebuilt if its settings changed.
+function applyConfig(next) {
+  const previous = config;
+  config = next;
+  if (['cacheBackend', 'cacheDir', 'cacheMaxBytes'].some(key => next[key] !== previous[key])) {
+    setCacheStore(createCacheStore());
+    log.info('Cache backend changed', { cacheBackend: next.cacheBackend });
+  }
+  // Agents read maxSockets on every request, so they can keep their pooled connections
+  [httpAgent, httpsAgent].forEach(agent => {
+    agent.maxSockets = next.maxSocketsPerHost;
+  });
+}
+
+// Read the config file and environment again (on SIGHUP from the CLI). The port and proxy endpoint
+// are baked into the server and routes, so those keep their values until a restart.
+function reloadConfig() {
+  const next = loadConfig(configOptions);
+  ['port', 'proxyEndpoint', 'pathPrefix'].filter(key => next[key] !== config[key]).forEach(key => {
+    log.warn('Setting only takes effect after a restart', { setting: key, value: next[key] });
+    next[key] = config[key];
+  });
+  applyConfig(next);
+  log.info('Configuration reloaded');
+}
+
+// Where the WebSocket endpoint lives for a given proxyBase (http -> ws, https -> wss)
+function wsProxyBase(proxyBase) {
+  return `${proxyBase.replace(/^http/, 'ws')}${WS_ENDPOINT}`;
+}
+
+// Proxied URLs carry their target in the path: <route>/<scheme>/<host>/<path>?<query>, as in
+// /p/https/example.com/a/b?c=1. With the urlEncoding setting 'base64' the scheme and host become a
+// single ~<base64url> segment instead (/p/~aHR0cHM6Ly9leGFtcGxlLmNvbQ/a/b?c=1), which keeps target
+// hosts out of the proxy's URLs. Either way the rest is a real path, so relative URLs resolve
+// against it in the browser. The ?url= form is still accepted everywhere.
+function encodeTargetPath(absUrl) {
+  const target = new url.URL(absUrl);
+  const origin = config.urlEncoding === 'base64'
+    ? `~${Buffer.from(`${target.protocol}//${target.host}`).toString('base64url')}`
+    : `${target.protocol.slice(0, -1)}/${target.host}`;
+  return `/${origin}${target.pathname}${target.search}${target.hash}`;
+}
+
+// The target URL in `rest`, what follows a route's own path (starting with '/'), or null. A
+// signature segment in front (see signaturePath) is skipped.
+function decodeTargetPath(rest) {
+  const match = rest.match(/^\/(?:_[\w.-]+\/)?(?:~([\w-]+)|([a-z]+)\/([^/?#]+))([^?#]*)(\?[^#]*)?/i);
+  if (!match) return null;
+  const [, encoded, scheme, host, pathname, search = ''] = match;
+  const origin = encoded ? Buffer.from(encoded, 'base64url').toString() : `${scheme.toLowerCase()}://${host}`;
+  try {
+    // Only a bare scheme and host are allowed there (no path or credentials smuggled in)
+    const parsed = new url.URL(origin);
+    if (parsed.href !== `${parsed.origin}/`) return null;
+    // Concatenated rather than resolved, so a path starting with // stays on this host
+    return new url.URL(`${parsed.origin}${pathname || '/'}${search}`).toString();
+  } catch {
+    return null;
+  }
+}
+
+// Isolation mode. Everything served from one proxy origin shares localStorage, IndexedDB, service
+// workers and our session cookie, so one proxied site's scripts could read another's data. With
+// the isolationDomain setting each upstream origin gets its own host, <label>.<isolationDomain>,
+// and the browser keeps them apart. The label is a hash of the origin: it always fits in a DNS
+// label, and a site can't choose a host name that lands on another site's label. Proxied URLs keep
+// their path form, so the target is still in the path and the host only has to match it.
+function originLabel(origin) {
+  return crypto.createHash('sha256').update(origin).digest('hex').slice(0, 32);
+}
+
+// The proxyBase that absUrl is served from: proxyBase itself, or in isolation mode the same
+// scheme, port and mount path on the target origin's own host
+function isolatedBase(proxyBase, absUrl) {
+  if (!config.isolationDomain) return proxyBase;
+  const base = new url.URL(proxyBase);
+  base.hostname = `${originLabel(siteOrigin(absUrl))}.${config.isolationDomain}`;
+  return `${base.origin}${base.pathname.replace(/\/$/, '')}`;
+}
+
+// A URL's origin, where a site's WebSockets (ws:, wss:) belong with its pages (http:, https:)
+function siteOrigin(absUrl) {
+  const target = new url.URL(absUrl);
+  return `${target.protocol.replace(/^ws/, 'http')}//${target.host}`;
+}
+
+// Signed URLs. With the urlSigningSecret setting, proxied URLs carry a signature segment after the
+// route, /p/_<expires>.<mac>/https/example.com/..., where mac is an HMAC of the expiry time and the
+// target's origin. Any URL on that origin passes with it, so the relative URLs a page resolves in
+// the browser stay signed. Expiry times are rounded up to whole signedUrlTtl periods so pages
+// rewritten in the same period get the same URLs (and rewritten bodies can be cached per period).
+function signatureExpiry() {
+  const period = config.signedUrlTtl * 1000;
+  return (Math.ceil(Date.now() / period) + 1) * period / 1000;
+}
+
+function signatureMac(expires, origin) {
+  return crypto.createHmac('sha256', config.urlSigningSecret).update(`${expires}:${origin}`).digest('base64url');
+}
+
+function signaturePath(absUrl) {
+  if (!config.urlSigningSecret) return '';
+  const expires = signatureExpiry().toString(36);
+  return `/_${expires}.${signatureMac(expires, siteOrigin(absUrl))}`;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function validSignature(signature, absUrl) {
+  const match = /^([0-9a-z]+)\.([\w-]+)$/.exec(signature || '');
+  if (!config.urlSigningSecret || !match || parseInt(match[1], 36) * 1000 < Date.now()) return false;
+  try {
+    return safeEqual(match[2], signatureMac(match[1], siteOrigin(absUrl)));
+  } catch {
+    return false;
+  }
+}
+
+// Whether a URL already points at the proxy (on any isolated host)
+function isProxiedUrl(value, proxyBase) {
+  if (value.includes(proxyBase) || value.includes(wsProxyBase(proxyBase))) return true;
+  if (!config.isolationDomain) return false;
+  try {
+    return new url.URL(value).hostname.endsWith(`.${config.isolationDomain}`);
+  } catch {
+    return false;
+  }
+}
+
+// The proxied form of an absolute URL on one of our routes (the path prefix, /css-proxy, ...)
+function proxiedUrl(proxyBase, route, absUrl) {
+  return `${isolatedBase(proxyBase, absUrl)}${route}${signaturePath(absUrl)}${encodeTargetPath(absUrl)}`;
+}
+
+// The target a route was asked for: path-encoded after `prefix`, or the ?url= parameter
+function requestTarget(req, prefix) {
+  if (req.url.startsWith(`${prefix}/`)) return decodeTargetPath(req.url.slice(prefix.length));
+  return typeof req.query.url === 'string' ? req.query.url : null;
+}
+
+// The target behind one of our own URLs (a Referer, say), or null if it isn't one
+function targetFromProxiedUrl(req, proxied) {
+  let parsed;
+  try {
+    parsed = new url.URL(proxied);
+  } catch {
+    return null;
+  }
+  const mount = req.baseUrl || '';
+  if (!parsed.pathname.startsWith(mount)) return null;
+  const pathname = parsed.pathname.slice(mount.length);
+  const prefix = targetRoute(pathname);
+  if (prefix) return decodeTargetPath(pathname.slice(prefix.length) + parsed.search);
+  return parsed.searchParams.get('url');
+}
+
+// The route of a path that has its target in it (/p/https/..., /css-proxy/https/..., ...), or undefined
+function targetRoute(pathname) {
+  return [config.pathPrefix, '/css-proxy', '/js-proxy', '/svg-proxy', WS_ENDPOINT]
+    .find(route => pathname.startsWith(`${route}/`));
+}
+
+// Build the proxied form of a ws:// or wss:// URL
+function rewriteWsUrl(wsUrl, proxyBase) {
+  return `${wsProxyBase(isolatedBase(proxyBase, wsUrl))}${signaturePath(wsUrl)}${encodeTargetPath(wsUrl)}`;
+}
+
+// Per-request values every URL rewriter needs. proxyBase includes the path the proxy is mounted
+// on, so outside a request a context is just { baseUrl, proxyBase }.
+function makeRewriteContext(req, baseUrl) {
+  const proto = req.headers['x-forwarded-proto'] || req.protocol;
+  const host = req.headers['x-forwarded-host'] || req.get('host');
+  return { baseUrl, proxyBase: `${proto}://${host}${req.baseUrl || ''}` };
+}
+
+const SVG_URL = /\.svgz?([?#]|$)/i;
+
+// Helper to rewrite URLs with SVG special handling
+function rewriteUrl(originalUrl, ctx) {
+  const { baseUrl, proxyBase } = ctx;
+  
+  if (!originalUrl) return originalUrl;
+  
+  // Skip certain URL types
+  if (/^(data:|javascript:|mailto:|tel:|#)/i.test(originalUrl)) {
+    return originalUrl;
+  }
+  
+  // Skip already processed URLs
+  if (isProxiedUrl(originalUrl, proxyBase)) {
+    return originalUrl;
+  }
+  
+  // Handle websockets
+  if (/^wss?:\/\//i.test(originalUrl)) {
+    return rewriteWsUrl(originalUrl, proxyBase);
+  }
+  
+  // Convert to absolute URL
+  let absUrl;
+  try {
+    absUrl = new url.URL(originalUrl, baseUrl).toString();
+  } catch (e) {
+    log.debug('Unresolvable URL left as-is', { url: originalUrl });
+    return originalUrl;
+  }
+  
+  // Special handling for SVG files - use SVG proxy
+  if (SVG_URL.test(absUrl)) {
+    return proxiedUrl(proxyBase, '/svg-proxy', absUrl);
+  }
+  
+  // Everything else goes through main proxy
+  return proxiedUrl(proxyBase, config.pathPrefix, absUrl);
+}
+
+
+// Charset handling - upstream bodies are decoded to Unicode before any rewriting and always sent
+// back as UTF-8. Detection follows the browser order: BOM, Content-Type charset, then the
+// document's own declaration (<meta> prescan or @charset), then UTF-8/windows-1252 sniffing.
+
+// WHATWG Encoding treats all of these labels as windows-1252
+const LATIN1_LABELS = ['ascii', 'us-ascii', 'iso-8859-1', 'iso8859-1', 'iso_8859-1', 'latin1', 'l1', 'cp819', 'ibm819'];
+
+function normalizeCharset(label) {
+  if (!label) return null;
+  let charset = label.trim().replace(/^["']|["']$/g, '').toLowerCase();
+  if (LATIN1_LABELS.includes(charset)) charset = 'windows-1252';
+  if (charset === 'utf8') charset = 'utf-8';
+  return iconv.encodingExists(charset) ? charset : null;
+}
+
+function sniffBom(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+  return null;
+}
+
+// A charset declared in ASCII-compatible bytes can't really be UTF-16
+function declaredCharset(label) {
+  const charset = normalizeCharset(label);
+  return charset && charset.startsWith('utf-16') ? 'utf-8' : charset;
+}
+
+// A multi-byte sequence cut off at the end of the buffer still counts as valid, the HTML
+// rewriter only sniffs the first chunk of the body
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// kind is 'html', 'css', 'xml' or anything else for plain text (JS, manifests)
+function detectCharset(buffer, contentType, kind) {
+  const bom = sniffBom(buffer);
+  if (bom) return bom;
+  
+  const header = normalizeCharset(((contentType || '').match(/charset=([^;]+)/i) || [])[1]);
+  if (header) return header;
+  
+  const head = buffer.slice(0, 1024).toString('latin1');
+  if (kind === 'html') {
+    const meta = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i);
+    const charset = meta && declaredCharset(meta[1]);
+    if (charset) return charset;
+  }
+  if (kind === 'css') {
+    const rule = head.match(/^@charset "([^"]+)";/);
+    const charset = rule && declaredCharset(rule[1]);
+    if (charset) return charset;
+  }
+  if (kind === 'xml') {
+    const declaration = head.match(/^<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/);
+    const charset = declaration && declaredCharset(declaration[1]);
+    if (charset) return charset;
+  }
+  
+  return isValidUtf8(buffer) ? 'utf-8' : 'windows-1252';
+}
+
+// Read an upstream body as a Unicode string. `buffer` is the body if it has been read already.
+async function decodeResponse(response, kind, buffer) {
+  buffer = buffer || await response.buffer();
+  const charset = detectCharset(buffer, response.headers.get('content-type'), kind);
+  if (charset !== 'utf-8') {
+    log.debug('Decoding body', { url: response.url, charset });
+  }
+  return iconv.decode(buffer, charset);
+}
+
+// Stylesheets (link[rel=stylesheet], @import) go back through the CSS proxy so nested imports work
+function rewriteStylesheetUrl(originalUrl, ctx) {
+  const { baseUrl, proxyBase } = ctx;
+  
+  if (!originalUrl || /^(data:|#)/i.test(originalUrl) || isProxiedUrl(originalUrl, proxyBase)) {
+    return originalUrl;
+  }
+  
+  let absUrl;
+  try {
+    absUrl = new url.URL(originalUrl, baseUrl).toString();
+  } catch (e) {
+    log.debug('Unresolvable stylesheet URL left as-is', { url: originalUrl });
+    return originalUrl;
+  }
+  return proxiedUrl(proxyBase, '/css-proxy', absUrl);
+}
+
+// Proxy a script URL through /js-proxy, so the code gets its URLs rewritten too
+function rewriteScriptUrl(originalUrl, ctx) {
+  const { baseUrl, proxyBase } = ctx;
+  
+  if (!originalUrl || /^(data:|blob:|javascript:|#)/i.test(originalUrl) || isProxiedUrl(originalUrl, proxyBase)) {
+    return originalUrl;
+  }
+  
+  let absUrl;
+  try {
+    absUrl = new url.URL(originalUrl, baseUrl).toString();
+  } catch (e) {
+    log.debug('Unresolvable script URL left as-is', { url: originalUrl });
+    return originalUrl;
+  }
+  return proxiedUrl(proxyBase, '/js-proxy', absUrl);
+}
+
+// Rewrite every URL reference in a stylesheet or style attribute. Uses the css-tree tokenizer so
+// url(), @import (with or without url()), image-set() and @font-face src lists are all found,
+// while format()/local() strings, comments and @namespace URIs are left alone.
+function rewriteCss(css, ctx) {
+  const T = csstree.tokenTypes;
+  const edits = [];
+  const functions = [];
+  let atRule = null;
+  let importPending = false;
+  
+  csstree.tokenize(css, (type, start, end) => {
+    const raw = css.slice(start, end);
+    const current = functions[functions.length - 1];
+    
+    switch (type) {
+      case T.AtKeyword:
+        atRule = raw.slice(1).toLowerCase();
+        importPending = atRule === 'import';
+        return;
+      case T.Semicolon:
+      case T.LeftCurlyBracket:
+      case T.RightCurlyBracket:
+        atRule = null;
+        importPending = false;
+        return;
+      case T.Function:
+        functions.push(raw.slice(0, -1).toLowerCase());
+        return;
+      case T.LeftParenthesis:
+        functions.push('(');
+        return;
+      case T.RightParenthesis:
+        functions.pop();
+        if (!functions.length) importPending = false;
+        return;
+      case T.WhiteSpace:
+      case T.Comment:
+        return;
+    }
+    
+    // Only the first token after @import names the stylesheet; media queries follow it
+    const isImport = importPending && (functions.length === 0 || (functions.length === 1 && current === 'url'));
+    if (!(functions.length === 1 && current === 'url')) importPending = false;
+    
+    let value;
+    let wrap;
+    if (type === T.Url) {
+      value = csstree.url.decode(raw);
+      wrap = rewritten => csstree.url.encode(rewritten);
+    } else if (type === T.String && (isImport || current === 'url' || current === 'image-set' || current === '-webkit-image-set')) {
+      value = csstree.string.decode(raw);
+      wrap = rewritten => csstree.string.encode(rewritten, raw[0] === "'");
+    } else {
+      return;
+    }
+    
+    if (atRule === 'namespace') return;
+    
+    const rewritten = isImport ? rewriteStylesheetUrl(value, ctx) : rewriteUrl(value, ctx);
+    if (rewritten !== value) {
+      edits.push({ start, end, text: wrap(rewritten) });
+    }
+  });
+  
+  if (!edits.length) return css;
+  
+  let output = '';
+  let last = 0;
+  for (const edit of edits) {
+    output += css.slice(last, edit.start) + edit.text;
+    last = edit.end;
+  }
+  output += css.slice(last);
+  
+  log.debug('Rewrote CSS', { urls: edits.length });
+  return output;
+}
+
+// Send an upstream stylesheet response with its URLs rewritten
+async function sendRewrittenCss(req, res, response) {
+  const ctx = makeRewriteContext(req, new url.URL(response.url));
+  const cacheKey = `css:${ctx.proxyBase}:${response.url}`;
+  let css = await getRewritten(cacheKey, response);
+  if (css === null) {
+    // Re-encoded as UTF-8, so an @charset rule has to say so too
+    const source = await decodeResponse(response, 'css');
+    css = timeRewrite('css', () => rewriteCss(source, ctx)).replace(/^@charset "[^"]*";/, '@charset "utf-8";');
+    putRewritten(cacheKey, response, css);
+  } else {
+    response.body.resume();
+  }
+  
+  res.set('Content-Type', 'text/css; charset=utf-8');
+  setCacheHeaders(res, response, config.defaultMaxAge);
+  res.status(response.status);
+  sendBody(req, res, css);
+}
+
+// Send an upstream SVG response with its URLs rewritten (and active content removed in sanitize mode)
+async function sendRewrittenSvg(req, res, response) {
+  const ctx = makeRewriteContext(req, new url.URL(response.url));
+  const sanitize = config.svgSanitize;
+  const cacheKey = `svg:${sanitize ? 'sanitized' : 'full'}:${ctx.proxyBase}:${response.url}`;
+  let svg = await getRewritten(cacheKey, response);
+  if (svg === null) {
+    const source = await decodeResponse(response, 'xml', gunzipSvgz(await response.buffer()));
+    svg = timeRewrite('svg', () => rewriteSvg(source, ctx, sanitize));
+    putRewritten(cacheKey, response, svg);
+  } else {
+    response.body.resume();
+  }
+  
+  res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+  // Belt and braces for anything the sanitizer didn't recognize
+  if (sanitize) res.set('Content-Security-Policy', "script-src 'none'; object-src 'none'");
+  setCacheHeaders(res, response, config.defaultMaxAge);
+  res.status(response.status);
+  sendBody(req, res, svg);
+}
+
+// Streaming manifests - segment, key and variant playlist URLs go back through the proxy
+function isHlsManifest(contentType, manifestUrl) {
+  return /mpegurl/i.test(contentType) || /\.m3u8(\?|$)/i.test(manifestUrl);
+}
+
+function isDashManifest(contentType, manifestUrl) {
+  return /dash\+xml/i.test(contentType) || /\.mpd(\?|$)/i.test(manifestUrl);
+}
+
+// HLS: every non-comment line is a URI, and tags like #EXT-X-KEY/#EXT-X-MAP/#EXT-X-MEDIA carry URI="..."
+function rewriteHlsManifest(text, ctx) {
+  return text.split('\n').map(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+    if (trimmed.startsWith('#')) {
+      return line.replace(/URI="([^"]*)"/g, (match, uri) => `URI="${rewriteUrl(uri, ctx)}"`);
+    }
+    return line.replace(trimmed, () => rewriteUrl(trimmed, ctx));
+  }).join('\n');
+}
+
+const DASH_URL_ATTRIBUTES = {
+  SegmentTemplate: ['media', 'initialization', 'index', 'bitstreamSwitching'],
+  SegmentURL: ['media', 'index'],
+  Initialization: ['sourceURL'],
+  RepresentationIndex: ['sourceURL'],
+  BitstreamSwitching: ['sourceURL']
+};
+
+// Proxy a DASH URL template, leaving $Number$/$Time%05d$-style identifiers intact for the player to fill in
+function rewriteDashTemplate(value, base, ctx) {
+  let absUrl;
+  try {
+    absUrl = new url.URL(value, base).toString();
+  } catch {
+    return value;
+  }
+  // The URL parser leaves $ and %05d-style escapes in paths and queries alone
+  return proxiedUrl(ctx.proxyBase, config.pathPrefix, absUrl);
+}
+
+// DASH: BaseURL elements nest (MPD > Period > AdaptationSet > Representation), so every URL is made
+// absolute against its effective base first and then proxied
+function rewriteDashManifest(xml, ctx) {
+  const $ = cheerio.load(xml, { xmlMode: true, decodeEntities: false });
+  
+  function visit(el, parentBase) {
+    const name = el.name.replace(/^.*:/, '');
+    let base = parentBase;
+    
+    const baseUrls = $(el).children().filter((_, child) => child.name.replace(/^.*:/, '') === 'BaseURL');
+    if (baseUrls.length) {
+      try {
+        base = new url.URL(baseUrls.first().text().trim(), parentBase).toString();
+      } catch {
+        log.debug('Unresolvable DASH BaseURL left as-is', { url: baseUrls.first().text() });
+      }
+      baseUrls.each((_, baseEl) => {
+        $(baseEl).text(rewriteUrl($(baseEl).text().trim(), { ...ctx, baseUrl: parentBase }));
+      });
+    }
+    
+    (DASH_URL_ATTRIBUTES[name] || []).forEach(attr => {
+      const value = $(el).attr(attr);
+      if (value) $(el).attr(attr, rewriteDashTemplate(value, base, ctx));
+    });
+    
+    const xlink = $(el).attr('xlink:href');
+    if (xlink && !xlink.startsWith('urn:')) {
+      $(el).attr('xlink:href', rewriteUrl(xlink, { ...ctx, baseUrl: base }));
+    }
+    
+    // Live manifests tell the player where to reload them from
+    if (name === 'Location' || name === 'PatchLocation') {
+      $(el).text(rewriteUrl($(el).text().trim(), { ...ctx, baseUrl: parentBase }));
+    }
+    
+    $(el).children().each((_, child) => {
+      if (child.name.replace(/^.*:/, '') !== 'BaseURL') visit(child, base);
+    });
+  }
+  
+  $.root().children().each((_, el) => visit(el, ctx.baseUrl.toString()));
+  return $.xml();
+}
+
+// Send an upstream HLS or DASH manifest with its URLs rewritten
+async function sendRewrittenManifest(req, res, response, kind) {
+  const ctx = makeRewriteContext(req, new url.URL(response.url));
+  const text = await decodeResponse(response, 'text');
+  const rewritten = timeRewrite(kind, () => (kind === 'hls' ? rewriteHlsManifest(text, ctx) : rewriteDashManifest(text, ctx)));
+  
+  res.set('Content-Type', response.headers.get('content-type') ||
+    (kind === 'hls' ? 'application/vnd.apple.mpegurl' : 'application/dash+xml'));
+  // Live playlists change constantly, so only upstream's own caching headers apply
+  setCacheHeaders(res, response);
+  res.status(response.status);
+  sendBody(req, res, rewritten);
+}
+
+// Tokenize JavaScript with acorn so only real string literals get rewritten (never regexes,
+// comments or template substitutions). Returns null if the code doesn't lex.
+function tokenizeJs(code) {
+  for (const sourceType of ['module', 'script']) {
+    try {
+      return Array.from(acorn.tokenizer(code, {
+        ecmaVersion: 'latest',
+        sourceType,
+        allowHashBang: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true
+      }));
+    } catch {
+      // Retry as a classic script (sloppy-mode code isn't valid as a module)
+    }
+  }
+  return null;
+}
+
+// Identifiers that only look like URLs (createElementNS, setAttributeNS...) and must stay exactly as they are
+const XML_NAMESPACES = [
+  'http://www.w3.org/2000/svg',
+  'http://www.w3.org/1999/xhtml',
+  'http://www.w3.org/1999/xlink',
+  'http://www.w3.org/1998/Math/MathML',
+  'http://www.w3.org/XML/1998/namespace',
+  'http://www.w3.org/2000/xmlns/'
+];
+
+// Decide what a single JS string value should become. `kind` is 'specifier' for
+// import/export sources, 'fetch' for fetch() arguments, otherwise 'string'.
+function rewriteJsString(value, kind, ctx) {
+  const { baseUrl, proxyBase } = ctx;
+  const toProxy = absUrl => proxiedUrl(proxyBase, config.pathPrefix, absUrl);
+  
+  if (!value || value.includes(new url.URL(proxyBase).host) || isProxiedUrl(value, proxyBase)) return null;
+  if (XML_NAMESPACES.includes(value)) return null;
+  
+  // Module specifiers resolve against the module's own URL; bare specifiers are left for import maps
+  if (kind === 'specifier') {
+    if (!/^(\.{0,2}\/|https?:)/i.test(value)) return null;
+    try {
+      const absUrl = new url.URL(value, ctx.scriptUrl || baseUrl).toString();
+      return proxiedUrl(proxyBase, '/js-proxy', absUrl);
+    } catch {
+      return null;
+    }
+  }
+  
+  if (/^wss?:\/\/\S+$/i.test(value)) {
+    return rewriteWsUrl(value, proxyBase);
+  }
+  
+  if (/^https?:\/\/\S+$/i.test(value)) {
+    return toProxy(value);
+  }
+  
+  // API endpoints commonly used by YouTube/Spotify, fetch() targets and root-relative images
+  if ((kind === 'fetch' && !value.startsWith('data:')) ||
+      /^\/(api|youtubei)\/\S+$/i.test(value) ||
+      /^\/\S+\.(png|jpg|jpeg|gif|svg|webp|ico)$/i.test(value)) {
+    try {
+      return toProxy(new url.URL(value, baseUrl).toString());
+    } catch {
+      return null;
+    }
+  }
+  
+  // CSS background-image patterns built in JavaScript
+  const cssMatch = value.match(/^url\s*\(\s*(['"]?)([^'"`\)]+?)\1\s*\)$/i);
+  if (cssMatch && !cssMatch[2].startsWith('data:')) {
+    return `url(${cssMatch[1]}${rewriteUrl(cssMatch[2], ctx)}${cssMatch[1]})`;
+  }
+  
+  return null;
+}
+
+// Write a string value back as a literal in its original quotes. The token value is the cooked
+// string, so anything that was escaped in the source has to be escaped again.
+function quoteJsString(value, quote) {
+  let escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+    .split(quote).join(`\\${quote}`);
+  if (quote === '`') escaped = escaped.replace(/\$\{/g, '\\${');
+  return quote + escaped + quote;
+}
+
+// Rewrite URLs inside JavaScript source. ctx comes from makeRewriteContext, plus an optional
+// scriptUrl that module specifiers resolve against (defaults to the document base).
+function rewriteJs(code, ctx) {
+  const tokens = tokenizeJs(code);
+  if (!tokens) {
+    log.debug('JavaScript did not tokenize, passing through unchanged');
+    return code;
+  }
+  
+  const tt = acorn.tokTypes;
+  const edits = [];
+  let moduleStatement = false;
+  
+  tokens.forEach((tok, i) => {
+    if (tok.type === tt._import || tok.type === tt._export) moduleStatement = true;
+    if (tok.type === tt.semi) moduleStatement = false;
+    
+    let quote;
+    let value;
+    let start = tok.start;
+    let end = tok.end;
+    let first = i;
+    if (tok.type === tt.string) {
+      quote = code[tok.start];
+      value = tok.value;
+    } else if (tok.type === tt.template && tokens[i - 1] && tokens[i - 1].type === tt.backQuote &&
+               tokens[i + 1] && tokens[i + 1].type === tt.backQuote) {
+      // Only templates without ${} substitutions - anything else is built at runtime
+      quote = '`';
+      value = tok.value;
+      first = i - 1;
+      start = tokens[first].start;
+      end = tokens[i + 1].end;
+    } else {
+      return;
+    }
+    
+    const prev = tokens[first - 1];
+    const prev2 = tokens[first - 2];
+    let kind = 'string';
+    if (prev && prev.type === tt._import) {
+      kind = 'specifier';
+    } else if (prev && prev.type === tt.name && prev.value === 'from' && moduleStatement) {
+      kind = 'specifier';
+      moduleStatement = false;
+    } else if (prev && prev.type === tt.parenL && prev2 && prev2.type === tt._import) {
+      kind = 'specifier';
+    } else if (prev && prev.type === tt.parenL && prev2 && prev2.type === tt.name && prev2.value === 'fetch') {
+      kind = 'fetch';
+    }
+    
+    const rewritten = rewriteJsString(value, kind, ctx);
+    if (rewritten !== null && rewritten !== value) {
+      edits.push({ start, end, text: quoteJsString(rewritten, quote) });
+    }
+  });
+  
+  if (!edits.length) return code;
+  
+  let output = '';
+  let last = 0;
+  for (const edit of edits) {
+    output += code.slice(last, edit.start) + edit.text;
+    last = edit.end;
+  }
+  output += code.slice(last);
+  
+  log.debug('Rewrote JavaScript', { urls: edits.length });
+  return output;
+}
+
+// The page a sub-resource was requested from, taken from the proxied URL in the Referer
+function documentUrlFromReferer(req) {
+  const target = req.headers.referer && targetFromProxiedUrl(req, req.headers.referer);
+  try {
+    return target ? new url.URL(target) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Send an upstream JavaScript response with its URLs rewritten
+async function sendRewrittenJs(req, res, response) {
+  const scriptUrl = new url.URL(response.url);
+  const ctx = makeRewriteContext(req, documentUrlFromReferer(req) || scriptUrl);
+  // /api/ and fetch() paths resolve against the document, so it is part of the key
+  const cacheKey = `js:${ctx.proxyBase}:${ctx.baseUrl}:${response.url}`;
+  let code = await getRewritten(cacheKey, response);
+  if (code === null) {
+    const source = await decodeResponse(response, 'text');
+    code = timeRewrite('js', () => rewriteJs(source, { ...ctx, scriptUrl }));
+    putRewritten(cacheKey, response, code);
+  } else {
+    response.body.resume();
+  }
+  
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  setCacheHeaders(res, response, config.defaultMaxAge);
+  res.status(response.status);
+  sendBody(req, res, code);
+}
+
+// Escape a value for use in HTML text or inside a double-quoted attribute
+function escapeAttr(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Client-side runtime injected into proxied HTML. It runs in the browser (serialized with
+// toString), so it must stay self-contained. It wraps the APIs that take URLs at runtime and
+// encodes them exactly like rewriteUrl does on the server.
+function blazeClientRuntime() {
+  const script = document.currentScript;
+  if (!script || window.__blazeClient) return;
+  window.__blazeClient = true;
+
+  const proxyBase = script.getAttribute('data-proxy-base');
+  const pathPrefix = script.getAttribute('data-path-prefix');
+  const urlEncoding = script.getAttribute('data-url-encoding');
+  const wsEndpoint = script.getAttribute('data-ws-endpoint');
+  // In isolation mode URLs for other origins stay on this host, the server redirects them to theirs
+  const isolationDomain = script.getAttribute('data-isolation-domain');
+  const targetBase = script.getAttribute('data-target');
+  const targetOrigin = new URL(targetBase).origin;
+  const wsBase = proxyBase.replace(/^http/, 'ws') + wsEndpoint;
+
+  // Same format as encodeTargetPath on the server
+  function targetPath(abs) {
+    const origin = urlEncoding === 'base64'
+      ? `~${btoa(`${abs.protocol}//${abs.host}`).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`
+      : `${abs.protocol.slice(0, -1)}/${abs.host}`;
+    return `/${origin}${abs.pathname}${abs.search}${abs.hash}`;
+  }
+
+  function proxify(value) {
+    if (value === null || value === undefined) return value;
+    const str = String(value).trim();
+    if (!str || /^(data:|javascript:|mailto:|tel:|blob:|about:|#)/i.test(str)) return value;
+    if (str.indexOf(proxyBase) === 0 || str.indexOf(wsBase) === 0) return value;
+
+    let abs;
+    try {
+      abs = new URL(str, targetBase);
+    } catch (e) {
+      return value;
+    }
+    if (isolationDomain && abs.hostname.endsWith(`.${isolationDomain}`)) return value;
+
+    // Page code built a URL from our own location - point it back at the upstream origin
+    if (abs.origin === location.origin) {
+      abs = new URL(abs.pathname + abs.search + abs.hash, targetOrigin);
+    }
+
+    if (/^wss?:$/.test(abs.protocol)) {
+      return `${wsBase}${targetPath(abs)}`;
+    }
+    if (!/^https?:$/.test(abs.protocol)) return value;
+    if (/\.svgz?([?#]|$)/i.test(abs.href)) {
+      return `${proxyBase}/svg-proxy${targetPath(abs)}`;
+    }
+    return `${proxyBase}${pathPrefix}${targetPath(abs)}`;
+  }
+
+  function proxifySrcset(value) {
+    if (!value) return value;
+    return String(value).split(',').map(item => {
+      const parts = item.trim().split(/\s+/);
+      if (parts[0]) parts[0] = proxify(parts[0]);
+      return parts.join(' ');
+    }).join(', ');
+  }
+
+  // Network APIs
+  const origFetch = window.fetch;
+  if (origFetch) {
+    window.fetch = function(input, init) {
+      if (typeof Request !== 'undefined' && input instanceof Request) {
+        input = new Request(proxify(input.url), input);
+      } else {
+        input = proxify(input);
+      }
+      return origFetch.call(this, input, init);
+    };
+  }
+
+  const origOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function() {
+    const args = Array.prototype.slice.call(arguments);
+    args[1] = proxify(args[1]);
+    return origOpen.apply(this, args);
+  };
+
+  if (navigator.sendBeacon) {
+    const origBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = function(beaconUrl, data) {
+      return origBeacon.call(navigator, proxify(beaconUrl), data);
+    };
+  }
+
+  // Constructors that take a URL as their first argument
+  ['WebSocket', 'EventSource', 'Worker', 'SharedWorker'].forEach(name => {
+    const Orig = window[name];
+    if (!Orig) return;
+    const Wrapped = function(ctorUrl, ...rest) {
+      return new Orig(proxify(ctorUrl), ...rest);
+    };
+    Wrapped.prototype = Orig.prototype;
+    Object.setPrototypeOf(Wrapped, Orig);
+    window[name] = Wrapped;
+  });
+
+  const origWindowOpen = window.open;
+  window.open = function(openUrl, ...rest) {
+    return origWindowOpen.call(window, openUrl ? proxify(openUrl) : openUrl, ...rest);
+  };
+
+  // History - keep the address bar on a proxy URL so reloads come back through us
+  ['pushState', 'replaceState'].forEach(method => {
+    const orig = history[method];
+    history[method] = function(state, title, stateUrl) {
+      if (stateUrl === undefined || stateUrl === null) return orig.call(history, state, title);
+      return orig.call(history, state, title, proxify(stateUrl));
+    };
+  });
+
+  // DOM URL properties
+  const urlProps = [
+    ['HTMLAnchorElement', 'href'],
+    ['HTMLAreaElement', 'href'],
+    ['HTMLLinkElement', 'href'],
+    ['HTMLImageElement', 'src'],
+    ['HTMLScriptElement', 'src'],
+    ['HTMLIFrameElement', 'src'],
+    ['HTMLFrameElement', 'src'],
+    ['HTMLEmbedElement', 'src'],
+    ['HTMLMediaElement', 'src'],
+    ['HTMLVideoElement', 'poster'],
+    ['HTMLSourceElement', 'src'],
+    ['HTMLTrackElement', 'src'],
+    ['HTMLInputElement', 'src'],
+    ['HTMLObjectElement', 'data'],
+    ['HTMLFormElement', 'action'],
+    ['HTMLButtonElement', 'formAction'],
+    ['HTMLInputElement', 'formAction'],
+    ['HTMLQuoteElement', 'cite'],
+    ['HTMLModElement', 'cite']
+  ];
+  const srcsetProps = [
+    ['HTMLImageElement', 'srcset'],
+    ['HTMLSourceElement', 'srcset'],
+    ['HTMLLinkElement', 'imageSrcset']
+  ];
+
+  function wrapSetter(ctorName, prop, transform) {
+    const Ctor = window[ctorName];
+    if (!Ctor) return;
+    const desc = Object.getOwnPropertyDescriptor(Ctor.prototype, prop);
+    if (!desc || !desc.set) return;
+    Object.defineProperty(Ctor.prototype, prop, {
+      configurable: true,
+      enumerable: desc.enumerable,
+      get: desc.get,
+      set(value) {
+        desc.set.call(this, transform(value));
+      }
+    });
+  }
+
+  urlProps.forEach(([ctorName, prop]) => wrapSetter(ctorName, prop, proxify));
+  srcsetProps.forEach(([ctorName, prop]) => wrapSetter(ctorName, prop, proxifySrcset));
+
+  // The same attributes as ATTRIBUTE_REWRITES on the server
+  const urlAttributes = ['src', 'href', 'action', 'formaction', 'poster', 'data', 'cite', 'xlink:href', 'data-src'];
+  const srcsetAttributes = ['srcset', 'imagesrcset', 'data-srcset'];
+  const origSetAttribute = Element.prototype.setAttribute;
+  Element.prototype.setAttribute = function(name, value) {
+    const attr = String(name).toLowerCase();
+    if (srcsetAttributes.indexOf(attr) !== -1) {
+      value = proxifySrcset(value);
+    } else if (urlAttributes.indexOf(attr) !== -1) {
+      value = proxify(value);
+    }
+    return origSetAttribute.call(this, name, value);
+  };
+
+  // location.href = ... can't be intercepted; links and forms above cover most navigation
+}
+
+// Streaming HTML rewriter. Upstream bytes are tokenized with htmlparser2 as they arrive and copied
+// through untouched, except for tags whose URL attributes change (re-serialized) and the contents
+// of inline <script>/<style> (held until the closing tag, then rewritten). <head> is held back until
+// it ends so the injected <base> and client runtime can account for the document's own <base>.
+
+// URL attributes and how each is rewritten. For every attribute the first entry whose `tags`
+// include the element ('*' for any) and whose `when` (if any) accepts the tag's attributes applies.
+//   url         through the main proxy (SVG images through /svg-proxy)
+//   srcset      a srcset list, each URL through the main proxy
+//   stylesheet  through /css-proxy
+//   script      through /js-proxy
+//   css         url() references in a CSS value
+const linkRel = (...rels) => attribs => (attribs.rel || '').toLowerCase().split(/\s+/).some(rel => rels.includes(rel));
+const preloadAs = as => attribs => linkRel('preload')(attribs) && (attribs.as || '').toLowerCase() === as;
+const ATTRIBUTE_REWRITES = [
+  { tags: ['link'], attr: 'href', kind: 'stylesheet', when: linkRel('stylesheet') },
+  { tags: ['link'], attr: 'href', kind: 'stylesheet', when: preloadAs('style') },
+  // Preloads have to ask for the same URL as the script tag that uses them, or they're wasted
+  { tags: ['link'], attr: 'href', kind: 'script', when: linkRel('modulepreload') },
+  { tags: ['link'], attr: 'href', kind: 'script', when: preloadAs('script') },
+  // Icons, manifest, other preloads and prefetches, alternates, canonical...
+  { tags: ['link'], attr: 'href', kind: 'url' },
+  { tags: ['link'], attr: 'imagesrcset', kind: 'srcset' },
+  { tags: ['script'], attr: 'src', kind: 'script' },
+  { tags: ['a', 'area', 'base'], attr: 'href', kind: 'url' },
+  { tags: ['img', 'iframe', 'frame', 'embed', 'audio', 'video', 'source', 'track', 'input'], attr: 'src', kind: 'url' },
+  { tags: ['img', 'source'], attr: 'srcset', kind: 'srcset' },
+  { tags: ['video'], attr: 'poster', kind: 'url' },
+  { tags: ['object'], attr: 'data', kind: 'url' },
+  { tags: ['form'], attr: 'action', kind: 'url' },
+  { tags: ['button', 'input'], attr: 'formaction', kind: 'url' },
+  { tags: ['blockquote', 'q', 'del', 'ins'], attr: 'cite', kind: 'url' },
+  // Inline SVG (htmlparser2 lowercases the tag names)
+  { tags: ['use', 'image', 'feimage', 'textpath', 'mpath'], attr: 'href', kind: 'url' },
+  { tags: ['use', 'image', 'feimage', 'textpath', 'mpath', 'a'], attr: 'xlink:href', kind: 'url' },
+  // Lazy loaders copy these into src/srcset later
+  { tags: ['*'], attr: 'data-src', kind: 'url' },
+  { tags: ['*'], attr: 'data-srcset', kind: 'srcset' }
+];
+// Anything else opens the body, which ends an implied <head>
+const HEAD_ELEMENTS = ['title', 'meta', 'link', 'style', 'script', 'base', 'noscript', 'template'];
+
+function rewriteSrcset(srcset, ctx) {
+  return srcset.split(',').map(item => {
+    const parts = item.trim().split(/\s+/);
+    if (parts.length > 0) {
+      parts[0] = rewriteUrl(parts[0], ctx);
+    }
+    return parts.join(' ');
+  }).join(', ');
+}
+
+// Work out the new values for one tag's attributes. `attribs` has lowercased names and decoded
+// values; returns { name: newValue } for the attributes that changed, or null.
+function rewriteTagAttributes(name, attribs, ctx, table = ATTRIBUTE_REWRITES) {
+  const changes = {};
+  const set = (attr, value) => {
+    if (value !== attribs[attr]) changes[attr] = value;
+  };
+  
+  const rewriters = { url: rewriteUrl, srcset: rewriteSrcset, stylesheet: rewriteStylesheetUrl, script: rewriteScriptUrl, css: rewriteCss };
+  const done = new Set();
+  table.forEach(({ tags, attr, kind, when }) => {
+    if (done.has(attr) || !attribs[attr] || !(tags.includes(name) || tags.includes('*'))) return;
+    if (when && !when(attribs)) return;
+    done.add(attr);
+    set(attr, rewriters[kind](attribs[attr], ctx));
+  });
+  
+  // The proxied resource is not byte-for-byte what the hash was taken from (rewritten, re-encoded
+  // as UTF-8), so Subresource Integrity would reject it. crossorigin stays: our responses carry
+  // CORS headers, so CORS-mode loads (module scripts, readable canvas images) still work.
+  if (attribs.integrity !== undefined && Object.keys(changes).length) {
+    changes.integrity = null;
+  }
+  
+  if (name === 'meta') {
+    const httpEquiv = (attribs['http-equiv'] || '').toLowerCase();
+    if (httpEquiv === 'refresh' && attribs.content) {
+      const match = attribs.content.match(/^(\d+;\s*url=)(.*)$/i);
+      if (match) set('content', match[1] + rewriteUrl(match[2], ctx));
+    }
+    // Keep the document's own charset declarations in line with the UTF-8 we send
+    if (httpEquiv === 'content-type') set('content', 'text/html; charset=utf-8');
+    if (attribs.charset !== undefined) set('charset', 'utf-8');
+  }
+  
+  if (attribs.style) set('style', rewriteCss(attribs.style, ctx));
+  
+  return Object.keys(changes).length ? changes : null;
+}
+
+// Re-serialize a start tag from its source text, keeping the original tag/attribute name case
+// (SVG cares) and self-closing slash. Valueless attributes stay valueless, a null change drops one.
+function serializeTag(source, attribs, quotes, changes) {
+  const tagName = source.match(/^<([^\s/>]+)/)[1];
+  const attrs = Object.keys(attribs).map(attr => {
+    const lower = attr.toLowerCase();
+    const value = lower in changes ? changes[lower] : attribs[attr];
+    if (value === null) return '';
+    if (value === '' && quotes[attr] === null && !(lower in changes)) return ` ${attr}`;
+    return ` ${attr}="${escapeAttr(value)}"`;
+  }).join('');
+  return `<${tagName}${attrs}${/\/\s*>$/.test(source) ? ' /' : ''}>`;
+}
+
+function clientRuntimeTag(ctx, documentBase) {
+  return `<script src="${ctx.proxyBase}${CLIENT_SCRIPT_ENDPOINT}" data-proxy-base="${escapeAttr(ctx.proxyBase)}" data-path-prefix="${config.pathPrefix}" data-url-encoding="${config.urlEncoding}" data-ws-endpoint="${WS_ENDPOINT}"${config.isolationDomain ? ` data-isolation-domain="${config.isolationDomain}"` : ''} data-target="${escapeAttr(documentBase.toString())}"></script>`;
+}
+
+// Incremental rewriter from raw HTML bytes to the rewritten UTF-8 page: write() chunks, then end().
+// Output goes to `emit` as it becomes ready.
+function createHtmlRewriter(ctx, contentType, emit) {
+  let decoder = null;
+  let sniffed = [];          // first bytes, held until there's enough to detect the charset
+  let sniffedBytes = 0;
+  let raw = '';              // decoded input not yet written out
+  let rawStart = 0;          // input offset of raw[0]
+  let emitted = 0;           // input offset everything before which has been written out
+  let processed = 0;         // input offset everything before which the parser has handled
+  let capture = null;        // inline <script>/<style> being collected: { name, start }
+  let headMode = 'before';   // before <head>, 'inside' it (held back) or 'done'
+  let headContainers = 0;    // open <noscript>/<template> inside <head>
+  let preHead = '';
+  let headContent = '';
+  let sawBase = false;
+  let documentBase = ctx.baseUrl;
+  let documentCtx = ctx;     // what URLs after the document's own <base> resolve against
+  let quotes = {};           // quote character per attribute of the tag being parsed
+  
+  const slice = (from, to) => raw.slice(from - rawStart, to - rawStart);
+  
+  function output(text) {
+    if (headMode === 'done') {
+      emit(text);
+    } else if (headMode === 'before') {
+      preHead += text;
+    } else {
+      headContent += text;
+    }
+  }
+  
+  function copyTo(offset) {
+    if (offset > emitted) {
+      output(slice(emitted, offset));
+      emitted = offset;
+    }
+  }
+  
+  // Inject the client runtime first in <head> so it wraps fetch/XHR/history before page scripts
+  // run, plus a <base> if the page has none: upstream redirects we followed mean the address bar
+  // may not show the page's real URL, and relative URLs have to resolve against the proxied form of that
+  function finishHead() {
+    if (headMode === 'done') return;
+    const base = sawBase ? '' : `<base href="${escapeAttr(proxiedUrl(ctx.proxyBase, config.pathPrefix, ctx.baseUrl.href))}">`;
+    headMode = 'done';
+    emit(preHead + base + clientRuntimeTag(ctx, documentBase) + headContent);
+    preHead = headContent = '';
+  }
+  
+  function onOpenTag(name, attribs, start, end) {
+    if (headMode === 'before') {
+      if (name === 'head') {
+        copyTo(end);
+        headMode = 'inside';
+      } else if (HEAD_ELEMENTS.includes(name)) {
+        copyTo(start);
+        headMode = 'inside';
+      } else if (name !== 'html') {
+        copyTo(start);
+        finishHead();
+      }
+    } else if (headMode === 'inside' && !headContainers && !HEAD_ELEMENTS.includes(name)) {
+      copyTo(start);
+      finishHead();
+    }
+    if (headMode === 'inside' && (name === 'noscript' || name === 'template')) headContainers++;
+    
+    const lowered = {};
+    Object.keys(attribs).forEach(attr => {
+      const lower = attr.toLowerCase();
+      if (!(lower in lowered)) lowered[lower] = attribs[attr];
+    });
+    
+    // Remember the document's own <base> before it gets rewritten, the client runtime resolves against it
+    if (name === 'base') {
+      if (lowered.href && !sawBase) {
+        try {
+          documentBase = new url.URL(lowered.href, ctx.baseUrl);
+          documentCtx = { ...ctx, baseUrl: documentBase };
+        } catch {
+          log.debug('Unresolvable <base href> ignored', { url: lowered.href });
+        }
+      }
+      sawBase = true;
+    }
+    
+    // <base href> itself resolves against the page URL
+    const changes = rewriteTagAttributes(name, lowered, name === 'base' ? ctx : documentCtx);
+    if (changes) {
+      copyTo(start);
+      output(serializeTag(slice(start, end), attribs, quotes, changes));
+      emitted = end;
+    }
+    
+    if ((name === 'script' && lowered.src === undefined) || name === 'style') {
+      capture = { name, start: end };
+    }
+  }
+  
+  function onCloseTag(name, start) {
+    if (capture && name === capture.name) {
+      copyTo(capture.start);
+      const content = slice(capture.start, start);
+      let rewritten;
+      if (name === 'style') {
+        rewritten = rewriteCss(content, documentCtx);
+      } else {
+        rewritten = rewriteJs(content, { ...documentCtx, scriptUrl: documentBase });
+      }
+      output(rewritten);
+      emitted = start;
+      capture = null;
+    }
+    if (headMode === 'inside') {
+      if (name === 'head') {
+        copyTo(start);
+        finishHead();
+      } else if ((name === 'noscript' || name === 'template') && headContainers) {
+        headContainers--;
+      }
+    }
+  }
+  
+  const parser = new Parser({
+    onattribute(name, value, quote) {
+      quotes[name] = quote || null;
+    },
+    onopentag(name, attribs) {
+      onOpenTag(name, attribs, parser.startIndex, parser.endIndex + 1);
+      quotes = {};
+      processed = parser.endIndex + 1;
+    },
+    onclosetag(name, isImplied) {
+      // Implied end tags aren't in the source, there's nothing to copy
+      if (!isImplied) {
+        onCloseTag(name, parser.startIndex);
+        processed = parser.endIndex + 1;
+      }
+    },
+    ontext() {
+      processed = parser.endIndex + 1;
+    },
+    oncomment() {
+      processed = parser.endIndex + 1;
+    },
+    onprocessinginstruction() {
+      processed = parser.endIndex + 1;
+    }
+  }, { decodeEntities: true, lowerCaseAttributeNames: false });
+  
+  function feed(text) {
+    if (!text) return;
+    raw += text;
+    parser.write(text);
+    if (!capture) copyTo(processed);
+    raw = raw.slice(emitted - rawStart);
+    rawStart = emitted;
+  }
+  
+  function startDecoding() {
+    const head = Buffer.concat(sniffed);
+    sniffed = null;
+    decoder = iconv.getDecoder(detectCharset(head, contentType, 'html'));
+    feed(decoder.write(head));
+  }
+  
+  return {
+    write(chunk) {
+      if (decoder) {
+        feed(decoder.write(chunk));
+      } else {
+        sniffed.push(chunk);
+        sniffedBytes += chunk.length;
+        if (sniffedBytes >= 1024) startDecoding();
+      }
+    },
+    end() {
+      if (!decoder) startDecoding();
+      feed(decoder.end());
+      parser.end();
+      // An unterminated <script>/<style> is passed through as it was
+      capture = null;
+      copyTo(rawStart + raw.length);
+      finishHead();
+    }
+  };
+}
+
+// The same as a Transform stream, for piping upstream bodies through
+function createHtmlRewriteStream(ctx, contentType) {
+  let rewriter;
+  // Rewrite time is added up over the chunks and recorded once the page is done
+  const route = currentRoute();
+  let elapsed = 0n;
+  const timed = step => {
+    const start = process.hrtime.bigint();
+    try {
+      step();
+    } finally {
+      elapsed += process.hrtime.bigint() - start;
+    }
+  };
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        timed(() => rewriter.write(chunk));
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        timed(() => rewriter.end());
+        metrics.rewriteDuration.observe({ route, kind: 'html' }, Number(elapsed) / 1e9);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    }
+  });
+  rewriter = createHtmlRewriter(ctx, contentType, text => stream.push(text));
+  return stream;
+}
+
+// Rewrite a complete HTML document held in a string
+function rewriteHtml(html, ctx) {
+  let output = '';
+  const rewriter = createHtmlRewriter(ctx, 'text/html; charset=utf-8', text => {
+    output += text;
+  });
+  rewriter.write(Buffer.from(html, 'utf8'));
+  rewriter.end();
+  return output;
+}
+
+// SVG rewriter, for /svg-proxy and SVG the main proxy serves. The document is parsed as XML and
+// copied through like HTML: tags whose URL attributes change are re-serialized, <style> and
+// <script> contents are rewritten, everything else stays byte-for-byte.
+
+// Any SVG element can link with href/xlink:href (<use>, <image>, gradients, patterns, filters...),
+// and presentation attributes can point at paint servers, clip paths and markers with url().
+// HTML inside <foreignObject> gets the HTML rules, which come first.
+const SVG_ATTRIBUTE_REWRITES = [
+  ...ATTRIBUTE_REWRITES,
+  { tags: ['script'], attr: 'href', kind: 'script' },
+  { tags: ['script'], attr: 'xlink:href', kind: 'script' },
+  { tags: ['*'], attr: 'href', kind: 'url' },
+  { tags: ['*'], attr: 'xlink:href', kind: 'url' },
+  ...['fill', 'stroke', 'clip-path', 'mask', 'filter', 'marker-start', 'marker-mid', 'marker-end', 'cursor']
+    .map(attr => ({ tags: ['*'], attr, kind: 'css' }))
+];
+// Sanitize mode removes these with everything inside them: they run script or load a document
+const SVG_ACTIVE_ELEMENTS = ['script', 'foreignobject', 'iframe', 'embed', 'object', 'handler', 'listener'];
+// ...and animations that would set an event handler or a link at runtime
+const SVG_ANIMATIONS = ['animate', 'set', 'animatecolor', 'animatemotion', 'animatetransform'];
+
+function isSvg(contentType, svgUrl) {
+  if (/svg\+xml/i.test(contentType)) return true;
+  // Servers that don't know the extension fall back to text, XML, octet-stream or gzip
+  const mislabeled = /^\s*((text\/(plain|xml))|(application\/(xml|octet-stream|x-gzip|gzip))|binary\/octet-stream)?\s*(;|$)/i;
+  return mislabeled.test(contentType || '') && SVG_URL.test(svgUrl);
+}
+
+// Any prefix can be bound to the SVG, XHTML or XLink namespace, so sanitizing goes by local names:
+// <s:script> is a script and l:href a link whatever s and l stand for
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+function isActiveSvgElement(name, attribs) {
+  const local = localName(name);
+  if (SVG_ACTIVE_ELEMENTS.includes(local)) return true;
+  const target = localName((attribs.attributename || '').toLowerCase());
+  return SVG_ANIMATIONS.includes(local) && (target.startsWith('on') || target === 'href');
+}
+
+// Event handlers and script links on an element that stays
+function unsafeSvgAttributes(name, attribs) {
+  return Object.keys(attribs).filter(attr => localName(attr).startsWith('on') ||
+    (localName(attr) === 'href' && (/^\s*javascript:/i.test(attribs[attr]) ||
+      // <use> can pull in a whole document of its own from a data: URL
+      (localName(name) === 'use' && /^\s*data:/i.test(attribs[attr])))));
+}
+
+// Rewrite <style>/<script> contents, which SVG often wraps in CDATA
+function rewriteSvgText(text, rewrite) {
+  const cdata = text.match(/^(\s*<!\[CDATA\[)([\s\S]*)(\]\]>\s*)$/);
+  return cdata ? cdata[1] + rewrite(cdata[2]) + cdata[3] : rewrite(text);
+}
+
+// Rewrite an SVG document held in a string, removing active content when `sanitize` is set
+function rewriteSvg(svg, ctx, sanitize) {
+  const edits = [];
+  let depth = 0;
+  let removing = null;       // active element being dropped: { start, depth }
+  let capture = null;        // <style>/<script> being collected: { name, start }
+  let quotes = {};
+  
+  const parser = new Parser({
+    onattribute(name, value, quote) {
+      quotes[name] = quote || null;
+    },
+    onopentag(name, attribs) {
+      const start = parser.startIndex;
+      const end = parser.endIndex + 1;
+      const tagQuotes = quotes;
+      quotes = {};
+      depth++;
+      if (removing || capture) return;
+      
+      const lower = name.toLowerCase();
+      const lowered = {};
+      Object.keys(attribs).forEach(attr => {
+        const lowerAttr = attr.toLowerCase();
+        if (!(lowerAttr in lowered)) lowered[lowerAttr] = attribs[attr];
+      });
+      
+      if (sanitize && isActiveSvgElement(lower, lowered)) {
+        removing = { start, depth };
+        return;
+      }
+      
+      const changes = rewriteTagAttributes(lower, lowered, ctx, SVG_ATTRIBUTE_REWRITES) || {};
+      // The table knows the usual xlink: prefix, links under any other prefix go the same way
+      Object.keys(lowered).filter(attr => localName(attr) === 'href' && !['href', 'xlink:href'].includes(attr)).forEach(attr => {
+        const rewrite = localName(lower) === 'script' ? rewriteScriptUrl : rewriteUrl;
+        const rewritten = rewrite(lowered[attr], ctx);
+        if (rewritten !== lowered[attr]) changes[attr] = rewritten;
+      });
+      if (sanitize) unsafeSvgAttributes(lower, lowered).forEach(attr => { changes[attr] = null; });
+      if (Object.keys(changes).length) {
+        edits.push({ start, end, text: serializeTag(svg.slice(start, end), attribs, tagQuotes, changes) });
+      }
+      
+      if (lower === 'style' || (lower === 'script' && !lowered.href && !lowered['xlink:href'])) {
+        capture = { name: lower, start: end, depth };
+      }
+    },
+    onclosetag() {
+      // Self-closing tags close at the end of the open tag, which is where the indexes still are
+      if (capture && depth === capture.depth) {
+        const content = svg.slice(capture.start, Math.max(capture.start, parser.startIndex));
+        const rewritten = rewriteSvgText(content, text => (capture.name === 'style' ?
+          rewriteCss(text, ctx) : rewriteJs(text, { ...ctx, scriptUrl: ctx.baseUrl })));
+        if (rewritten !== content) edits.push({ start: capture.start, end: capture.start + content.length, text: rewritten });
+        capture = null;
+      }
+      if (removing && depth === removing.depth) {
+        edits.push({ start: removing.start, end: parser.endIndex + 1, text: '' });
+        removing = null;
+      }
+      depth--;
+    },
+    onprocessinginstruction(name, data) {
+      if (removing || capture) return;
+      const start = parser.startIndex;
+      const end = parser.endIndex + 1;
+      const lower = name.toLowerCase();
+      if (lower === '?xml-stylesheet') {
+        const source = svg.slice(start, end);
+        const rewritten = source.replace(/(\shref\s*=\s*)(["'])([^"']*)\2/i,
+          (match, prefix, quote, href) => prefix + quote + escapeAttr(rewriteStylesheetUrl(href, ctx)) + quote);
+        if (rewritten !== source) edits.push({ start, end, text: rewritten });
+      } else if (sanitize && lower === '!doctype' && data.includes('[')) {
+        // Entities declared in an internal subset can expand to markup the rewriter never saw. The
+        // parser ends the declaration at the first '>' inside the subset, so look for its real end.
+        const subsetEnd = svg.indexOf(']', start);
+        const declarationEnd = subsetEnd === -1 ? -1 : svg.indexOf('>', subsetEnd);
+        edits.push({ start, end: declarationEnd === -1 ? svg.length : declarationEnd + 1, text: '' });
+      }
+    }
+  }, { xmlMode: true, decodeEntities: true });
+  parser.end(svg);
+  
+  let output = '';
+  let last = 0;
+  for (const edit of edits.sort((a, b) => a.start - b.start)) {
+    if (edit.start < last) continue;
+    output += svg.slice(last, edit.start) + edit.text;
+    last = edit.end;
+  }
+  output += svg.slice(last);
+  
+  // Re-encoded as UTF-8, so the XML declaration has to say so too
+  return output.replace(/^(\uFEFF?<\?xml[^>]*?encoding\s*=\s*)(["'])[^"']*\2/, '$1$2utf-8$2');
+}
+
+// .svgz files are often served with no Content-Encoding to say they're gzipped
+function gunzipSvgz(buffer) {
+  if (buffer[0] !== 0x1f || buffer[1] !== 0x8b) return buffer;
+  try {
+    return zlib.gunzipSync(buffer, { ...ZLIB_LENIENT, maxOutputLength: config.maxBodySize });
+  } catch (err) {
+    const invalid = new Error(err.code === 'ERR_BUFFER_TOO_LARGE' ?
+      'The upstream SVG is too large once decompressed' : 'The upstream SVG could not be decompressed');
+    invalid.code = 'UPSTREAM_BODY_INVALID';
+    throw invalid;
+  }
+}
+
+// Target validation (SSRF protection). Every upstream URL is checked against the scheme and host
+// policy before it is fetched, and every DNS answer is checked again when the socket connects, so
+// redirects and DNS rebinding can't reach loopback, private, link-local or metadata addresses.
+function hostMatches(hostname, pattern) {
+  return pattern.startsWith('*.') ? domainMatches(hostname, pattern.slice(2)) : hostname === pattern;
+}
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  if (config.allowPrivateAddresses) return false;
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it wraps
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function targetBlocked(status, reason, message, targetUrl) {
+  const err = new Error(message);
+  err.code = 'TARGET_BLOCKED';
+  err.status = status;
+  err.reason = reason;
+  err.targetUrl = targetUrl;
+  return err;
+}
+
+// Throws a TARGET_BLOCKED error if the URL may not be fetched. Hostnames are resolved (and
+// checked) at connect time by guardedLookup; IP literals never hit DNS so they're checked here.
+function validateTarget(targetUrl, protocols = ['http:', 'https:']) {
+  let parsed;
+  try {
+    parsed = new url.URL(targetUrl);
+  } catch {
+    throw targetBlocked(400, 'invalid_url', 'Target is not a valid absolute URL', targetUrl);
+  }
+  
+  if (!protocols.includes(parsed.protocol)) {
+    throw targetBlocked(403, 'scheme', `Scheme ${parsed.protocol} is not allowed`, targetUrl);
+  }
+  
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (config.blockedHosts.some(pattern => hostMatches(hostname, pattern))) {
+    throw targetBlocked(403, 'host_denied', `Host ${hostname} is blocked`, targetUrl);
+  }
+  if (config.allowedHosts.length && !config.allowedHosts.some(pattern => hostMatches(hostname, pattern))) {
+    throw targetBlocked(403, 'host_not_allowed', `Host ${hostname} is not on the allowlist`, targetUrl);
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw targetBlocked(403, 'private_address', `Address ${hostname} is not publicly routable`, targetUrl);
+  }
+  
+  return parsed;
+}
+
+// dns.lookup replacement for upstream sockets - refuses to connect if any answer is a blocked address
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) {
+      return callback(targetBlocked(403, 'private_address', `${hostname} resolves to non-public address ${blocked.address}`, hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function upstreamTimeout(message) {
+  const err = new Error(message);
+  err.code = 'UPSTREAM_TIMEOUT';
+  return err;
+}
+
+// Shared keep-alive agents for upstream requests. A socket that hasn't connected (TLS handshake
+// included) within the connectTimeout setting is destroyed, which fails its request.
+function createUpstreamAgent(Agent) {
+  const agent = new Agent({
+    lookup: guardedLookup,
+    keepAlive: true,
+    maxSockets: config.maxSocketsPerHost,
+    scheduling: 'lifo'
+  });
+  const createConnection = agent.createConnection;
+  agent.createConnection = function (options, callback) {
+    const socket = createConnection.call(this, options, callback);
+    if (!config.connectTimeout) return socket;
+    const timer = setTimeout(() => {
+      socket.destroy(upstreamTimeout(`Connecting to ${options.host} timed out after ${config.connectTimeout}ms`));
+    }, config.connectTimeout);
+    socket.once(socket.encrypted ? 'secureConnect' : 'connect', () => clearTimeout(timer));
+    socket.once('close', () => clearTimeout(timer));
+    return socket;
+  };
+  return agent;
+}
+
+const httpAgent = createUpstreamAgent(http.Agent);
+const httpsAgent = createUpstreamAgent(https.Agent);
+
+function upstreamAgent(parsedUrl) {
+  return parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent;
+}
+
+// Error responses, in whichever form the client prefers: JSON for API callers, otherwise a small
+// HTML page. Messages and details may contain URLs from the request, so the page escapes them.
+function sendError(req, res, status, message, details = {}) {
+  // Too late for an error page once the body has started, cutting the connection is all that's left
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  const title = http.STATUS_CODES[status] || 'Error';
+  res.status(status).set('Cache-Control', 'no-store');
+  if (req.accepts(['html', 'json']) === 'json') {
+    res.json({ error: title, message, ...details, requestId: req.id });
+    return;
+  }
+  const rows = Object.entries(details).map(([name, value]) => {
+    const shown = Array.isArray(value)
+      ? `<ol>${value.map(item => `<li>${escapeAttr(item)}</li>`).join('')}</ol>`
+      : escapeAttr(value);
+    return `<dt>${escapeAttr(name)}</dt><dd>${shown}</dd>`;
+  }).join('');
+  res.type('html').send(`<!DOCTYPE html>
+<html><head><title>${status} ${escapeAttr(title)}</title></head>
+<body><h1>${status} ${escapeAttr(title)}</h1>
+<p>${escapeAttr(message)}</p>
+${rows ? `<dl>${rows}</dl>\n` : ''}<p><small>Request ID: ${escapeAttr(req.id || '')}</small></p>
+</body></html>`);
+}
+
+// Network failures reaching upstream. Everything else without a status of its own is our fault (500).
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UPSTREAM_TIMEOUT'];
+const DNS_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'EAI_NODATA', 'EAI_NONAME'];
+
+// The status, message and details a failed request is answered with
+function describeError(err) {
+  if (err.code === 'TARGET_BLOCKED') {
+    // Blocks from guardedLookup arrive wrapped by node-fetch, without the status and reason
+    return { status: err.status || 403, message: err.message, details: { reason: err.reason || 'private_address' } };
+  }
+  if (err.code === 'TOO_MANY_REDIRECTS') {
+    return {
+      status: 502,
+      message: `The upstream site redirected more than ${config.maxRedirects} times. This is usually a redirect loop.`,
+      details: { redirectChain: err.redirectChain }
+    };
+  }
+  if (err.code === 'BODY_TOO_LARGE') {
+    return { status: 413, message: 'Request body too large' };
+  }
+  if (err.code === 'UNAUTHORIZED') {
+    return { status: 401, message: err.message };
+  }
+  if (err.code === 'RATE_LIMITED') {
+    return { status: 429, message: err.message, details: { limit: err.limit, retryAfter: err.retryAfter } };
+  }
+  if (err.code === 'UPSTREAM_BODY_INVALID') {
+    return { status: 502, message: err.message };
+  }
+  if (err.code === 'UPSTREAM_REDIRECT_INVALID') {
+    return { status: 502, message: err.message, details: { location: err.location } };
+  }
+  // Nobody is listening any more, 499 is only there for the log and metrics
+  if (err.code === 'REQUEST_ABORTED') {
+    return { status: 499, message: 'The client closed the request' };
+  }
+  if (TIMEOUT_ERROR_CODES.includes(err.code) || ['request-timeout', 'body-timeout'].includes(err.type)) {
+    return { status: 504, message: 'The upstream server took too long to respond', details: { code: err.code || 'TIMEOUT' } };
+  }
+  if (DNS_ERROR_CODES.includes(err.code)) {
+    return { status: 502, message: 'The upstream host name could not be resolved', details: { code: err.code } };
+  }
+  // node-fetch marks socket and TLS failures as 'system' errors
+  if (err.type === 'system' || /^E[A-Z]+$/.test(err.code || '')) {
+    return { status: 502, message: 'Could not connect to the upstream server', details: { code: err.code || 'CONNECTION_FAILED' } };
+  }
+  return { status: 500, message: 'Internal proxy error' };
+}
+
+// Answer a request whose upstream fetch (or our handling of it) threw
+function sendProxyError(req, res, err, targetUrl) {
+  recordError(err);
+  const { status, message, details } = describeError(err);
+  // Only our own failures are errors, upstream being down or a blocked target is business as usual
+  const level = status === 500 ? 'error' : status >= 500 ? 'warn' : 'info';
+  log[level]('Request failed', { url: targetUrl, status, err });
+  if (status === 401) res.set('WWW-Authenticate', 'ApiKey realm="Blaze-Cors", header="X-Api-Key"');
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  sendError(req, res, status, message, details);
+}
+
+// Cookie jar - upstream Set-Cookie headers are kept server-side per client session, scoped by the
+// real upstream domain and path, and replayed on later requests to matching URLs.
+//
+// A store is any object with async getCookies(sessionId) and setCookies(sessionId, cookies);
+// swap the in-memory one for a shared store with setCookieStore().
+const COOKIE_SESSION_IDLE_MS = 24 * 60 * 60 * 1000;
+const MAX_COOKIE_SESSIONS = 10000;
+
+// Sessions are forgotten after a day unused, and the least recently used go first past MAX_COOKIE_SESSIONS
+function createMemoryCookieStore() {
+  // In least recently used order: every access moves a session to the end
+  const sessions = new Map();
+  
+  const evict = now => {
+    for (const [sessionId, session] of sessions) {
+      if (sessions.size <= MAX_COOKIE_SESSIONS && now - session.used < COOKIE_SESSION_IDLE_MS) break;
+      sessions.delete(sessionId);
+    }
+  };
+  
+  return {
+    async getCookies(sessionId) {
+      const now = Date.now();
+      evict(now);
+      const session = sessions.get(sessionId);
+      if (!session) return [];
+      sessions.delete(sessionId);
+      sessions.set(sessionId, { cookies: session.cookies, used: now });
+      return session.cookies;
+    },
+    async setCookies(sessionId, cookies) {
+      sessions.delete(sessionId);
+      if (cookies.length) {
+        sessions.set(sessionId, { cookies, used: Date.now() });
+        evict(Date.now());
+      }
+    }
+  };
+}
+
+let cookieStore = createMemoryCookieStore();
+
+function setCookieStore(store) {
+  cookieStore = store;
+}
+
+// Default cookie path per RFC 6265 5.1.4
+function defaultCookiePath(pathname) {
+  if (!pathname || !pathname.startsWith('/')) return '/';
+  const idx = pathname.lastIndexOf('/');
+  return idx <= 0 ? '/' : pathname.slice(0, idx);
+}
+
+function domainMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  return requestPath.startsWith(cookiePath) &&
+    (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/');
+}
+
+// Parse one Set-Cookie header received from requestUrl. Returns null for cookies the browser would reject.
+function parseSetCookie(header, requestUrl) {
+  const [pair, ...attributes] = header.split(';');
+  const eq = pair.indexOf('=');
+  if (eq < 0) return null;
+  
+  const cookie = {
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim(),
+    domain: requestUrl.hostname.toLowerCase(),
+    hostOnly: true,
+    path: defaultCookiePath(requestUrl.pathname),
+    secure: false,
+    httpOnly: false,
+    // Browsers treat cookies without SameSite as Lax
+    sameSite: 'lax',
+    expires: null
+  };
+  if (!cookie.name) return null;
+  
+  let hasMaxAge = false;
+  for (const attribute of attributes) {
+    const idx = attribute.indexOf('=');
+    const key = (idx < 0 ? attribute : attribute.slice(0, idx)).trim().toLowerCase();
+    const val = idx < 0 ? '' : attribute.slice(idx + 1).trim();
+    
+    if (key === 'domain' && val) {
+      const domain = val.replace(/^\./, '').toLowerCase();
+      // A public suffix (com, co.uk, github.io) would share the cookie with every site under it. It
+      // only stands for the host itself, as browsers treat it (RFC 6265 5.3 step 5).
+      if (!psl.get(domain) && domain === cookie.domain) continue;
+      // Refuse cookies for other sites or for a public suffix
+      if (!domain.includes('.') || !psl.get(domain) || !domainMatches(cookie.domain, domain)) return null;
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === 'path' && val.startsWith('/')) {
+      cookie.path = val;
+    } else if (key === 'max-age' && /^-?\d+$/.test(val)) {
+      hasMaxAge = true;
+      cookie.expires = Date.now() + parseInt(val, 10) * 1000;
+    } else if (key === 'expires' && !hasMaxAge) {
+      const time = Date.parse(val);
+      if (!isNaN(time)) cookie.expires = time;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'samesite' && ['strict', 'lax', 'none'].includes(val.toLowerCase())) {
+      cookie.sameSite = val.toLowerCase();
+    }
+  }
+  
+  return cookie;
+}
+
+function isExpired(cookie, now) {
+  return cookie.expires !== null && cookie.expires <= now;
+}
+
+// Store the Set-Cookie headers of an upstream response in the client's session
+async function storeResponseCookies(req, response) {
+  const setCookies = response.headers.raw()['set-cookie'];
+  if (!req.sessionId || !setCookies || !setCookies.length) return;
+  
+  const responseUrl = new url.URL(response.url);
+  const now = Date.now();
+  let cookies = await cookieStore.getCookies(req.sessionId);
+  
+  for (const header of setCookies) {
+    const cookie = parseSetCookie(header, responseUrl);
+    if (!cookie) {
+      log.debug('Rejected upstream cookie', { host: responseUrl.hostname });
+      continue;
+    }
+    // A new cookie replaces the one with the same name, domain and path; an expired one just deletes it
+    cookies = cookies.filter(c => !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path));
+    if (!isExpired(cookie, now)) cookies.push(cookie);
+  }
+  
+  await cookieStore.setCookies(req.sessionId, cookies.filter(c => !isExpired(c, now)));
+}
+
+// Whether the request was made by a page on another site than the proxy. Browsers say so in
+// Sec-Fetch-Site; older ones only send an Origin, which is compared with the proxy's own host (or
+// with the isolation domain, whose labels all belong to one site).
+function crossSiteRequest(req) {
+  const fetchSite = req.headers['sec-fetch-site'];
+  if (fetchSite) return fetchSite === 'cross-site';
+  const origin = req.headers.origin;
+  if (!origin) return false;
+  let hostname;
+  try {
+    hostname = new url.URL(origin).hostname;
+  } catch {
+    return true;
+  }
+  const proxyHost = (req.headers['x-forwarded-host'] || req.headers.host || '').replace(/:\d+$/, '');
+  return !(hostname === proxyHost || (config.isolationDomain && domainMatches(hostname, config.isolationDomain)));
+}
+
+// Cookie request header for targetUrl built from the client's session, as a headers object to spread.
+// Upstream SameSite is applied to the client's request to the proxy: Strict cookies are only sent
+// on same-site requests, Lax ones also on cross-site top-level navigations.
+async function upstreamCookieHeader(req, targetUrl) {
+  if (!req.sessionId) return {};
+  
+  let target;
+  try {
+    target = new url.URL(targetUrl);
+  } catch {
+    return {};
+  }
+  
+  const hostname = target.hostname.toLowerCase();
+  const now = Date.now();
+  const crossSite = crossSiteRequest(req);
+  const navigation = ['GET', 'HEAD'].includes(req.method) && req.headers['sec-fetch-mode'] === 'navigate';
+  const cookies = (await cookieStore.getCookies(req.sessionId))
+    .filter(c => !isExpired(c, now))
+    .filter(c => !crossSite || c.sameSite === 'none' || (c.sameSite === 'lax' && navigation))
+    .filter(c => c.hostOnly ? hostname === c.domain : domainMatches(hostname, c.domain))
+    .filter(c => pathMatches(target.pathname, c.path))
+    .filter(c => !c.secure || target.protocol === 'https:' || target.protocol === 'wss:')
+    // Longer paths first, as browsers do
+    .sort((a, b) => b.path.length - a.path.length);
+  
+  if (!cookies.length) return {};
+  return { 'Cookie': cookies.map(c => `${c.name}=${c.value}`).join('; ') };
+}
+
+// Response cache - a shared HTTP cache in front of upstream GETs. Entries follow upstream
+// Cache-Control/Expires and are revalidated with If-None-Match/If-Modified-Since once stale.
+// Rewritten HTML/CSS/JS is cached under its own keys and is only reused while the raw entry it
+// was built from is still the current one.
+//
+// A backend is any object with async get(key), set(key, entry) and delete(key); entries are
+// plain objects with a Buffer `body`.
+function createMemoryCacheStore(maxBytes) {
+  const entries = new Map();
+  let totalBytes = 0;
+  
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      // Re-insert so Map order stays least-recently-used first
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      await this.delete(key);
+      if (entry.body.length > maxBytes) return;
+      entries.set(key, entry);
+      totalBytes += entry.body.length;
+      for (const [oldKey, oldEntry] of entries) {
+        if (totalBytes <= maxBytes) break;
+        entries.delete(oldKey);
+        totalBytes -= oldEntry.body.length;
+      }
+    },
+    async delete(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        totalBytes -= entry.body.length;
+      }
+    }
+  };
+}
+
+// Disk backend - one metadata file and one body file per entry, evicting least recently used past maxBytes
+function createDiskCacheStore(dir, maxBytes) {
+  fs.mkdirSync(dir, { recursive: true });
+  const index = new Map();
+  let totalBytes = 0;
+  
+  // Pick up entries left by a previous run, oldest first
+  fs.readdirSync(dir)
+    .filter(name => name.endsWith('.bin'))
+    .map(name => ({ name, stat: fs.statSync(path.join(dir, name)) }))
+    .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+    .forEach(({ name, stat }) => {
+      index.set(name.slice(0, -4), stat.size);
+      totalBytes += stat.size;
+    });
+  
+  const fileFor = key => path.join(dir, crypto.createHash('sha256').update(key).digest('hex'));
+  const hashOf = key => path.basename(fileFor(key));
+  
+  async function remove(hash) {
+    if (!index.has(hash)) return;
+    totalBytes -= index.get(hash);
+    index.delete(hash);
+    const file = path.join(dir, hash);
+    await Promise.all([fs.promises.rm(`${file}.json`, { force: true }), fs.promises.rm(`${file}.bin`, { force: true })]);
+  }
+  
+  return {
+    async get(key) {
+      const hash = hashOf(key);
+      if (!index.has(hash)) return null;
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(`${fileFor(key)}.json`, 'utf8'));
+        if (meta.key !== key) return null;
+        const body = await fs.promises.readFile(`${fileFor(key)}.bin`);
+        const size = index.get(hash);
+        index.delete(hash);
+        index.set(hash, size);
+        return { ...meta, body };
+      } catch {
+        await remove(hash);
+        return null;
+      }
+    },
+    async set(key, entry) {
+      const hash = hashOf(key);
+      await remove(hash);
+      if (entry.body.length > maxBytes) return;
+      const { body, ...meta } = entry;
+      await fs.promises.writeFile(`${fileFor(key)}.bin`, body);
+      await fs.promises.writeFile(`${fileFor(key)}.json`, JSON.stringify({ ...meta, key }));
+      index.set(hash, body.length);
+      totalBytes += body.length;
+      for (const oldHash of index.keys()) {
+        if (totalBytes <= maxBytes) break;
+        await remove(oldHash);
+      }
+    },
+    async delete(key) {
+      await remove(hashOf(key));
+    }
+  };
+}
+
+function createCacheStore() {
+  if (config.cacheBackend === 'disk') return createDiskCacheStore(config.cacheDir, config.cacheMaxBytes);
+  if (config.cacheBackend === 'memory') return createMemoryCacheStore(config.cacheMaxBytes);
+  return null;
+}
+
+let cacheStore = createCacheStore();
+
+function setCacheStore(store) {
+  cacheStore = store;
+}
+
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 308, 404, 410];
+
+function parseCacheControl(value) {
+  const directives = {};
+  (value || '').split(',').forEach(part => {
+    const [name, ...rest] = part.trim().split('=');
+    if (name) directives[name.toLowerCase()] = rest.length ? rest.join('=').replace(/^"|"$/g, '') : true;
+  });
+  return directives;
+}
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? String(headers[key]) : '';
+}
+
+// Freshness lifetime in seconds (RFC 9111 4.2.1), with the usual 10% Last-Modified heuristic
+function freshnessLifetime(response) {
+  const cc = parseCacheControl(response.headers.get('cache-control'));
+  if (cc['no-cache']) return 0;
+  if (cc['s-maxage'] !== undefined) return parseInt(cc['s-maxage'], 10) || 0;
+  if (cc['max-age'] !== undefined) return parseInt(cc['max-age'], 10) || 0;
+  
+  const date = Date.parse(response.headers.get('date')) || Date.now();
+  const expires = response.headers.get('expires');
+  if (expires) {
+    const expiresAt = Date.parse(expires);
+    return isNaN(expiresAt) ? 0 : Math.max(0, Math.floor((expiresAt - date) / 1000));
+  }
+  
+  const lastModified = Date.parse(response.headers.get('last-modified'));
+  if (!isNaN(lastModified) && date > lastModified) {
+    return Math.min(Math.floor((date - lastModified) / 10000), 86400);
+  }
+  return 0;
+}
+
+// Whether a shared cache may store this response
+function isStorable(requestHeaders, response) {
+  const cc = parseCacheControl(response.headers.get('cache-control'));
+  if (!CACHEABLE_STATUSES.includes(response.status)) return false;
+  if (cc['no-store'] || cc.private) return false;
+  if (response.headers.get('vary') === '*') return false;
+  // Cookie-bearing responses belong to one session's jar, never to the shared cache
+  if (response.headers.raw()['set-cookie']) return false;
+  // Personalised requests only when upstream explicitly says a shared cache may keep them
+  if ((headerValue(requestHeaders, 'cookie') || headerValue(requestHeaders, 'authorization')) &&
+      !cc.public && cc['s-maxage'] === undefined) {
+    return false;
+  }
+  return freshnessLifetime(response) > 0 || Boolean(response.headers.get('etag') || response.headers.get('last-modified'));
+}
+
+function varyValues(requestHeaders, vary) {
+  return Object.fromEntries(
+    (vary || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+      .map(name => [name, headerValue(requestHeaders, name)])
+  );
+}
+
+function entryIsFresh(entry) {
+  return (Date.now() - entry.storedAt) / 1000 + entry.initialAge < entry.lifetime;
+}
+
+function responseFromEntry(entry, cacheStatus) {
+  const response = new fetch.Response(Readable.from([entry.body]), {
+    url: entry.url,
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: entry.headers
+  });
+  response.cacheStatus = cacheStatus;
+  response.cacheId = entry.id;
+  return response;
+}
+
+// Build the entry for a response and store it once its body has been read through
+function recordResponse(cacheKey, requestHeaders, response) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const headers = Object.entries(response.headers.raw())
+    // decodeUpstreamBody has already decoded the body, so the stored copy is identity-encoded
+    .filter(([name]) => !['content-encoding', 'content-length', 'transfer-encoding', 'connection'].includes(name))
+    .flatMap(([name, values]) => values.map(value => [name, value]));
+  const meta = {
+    id,
+    url: response.url,
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+    vary: varyValues(requestHeaders, response.headers.get('vary')),
+    storedAt: Date.now(),
+    initialAge: parseInt(response.headers.get('age'), 10) || 0,
+    lifetime: freshnessLifetime(response)
+  };
+  
+  const chunks = [];
+  let size = 0;
+  const recorder = new Transform({
+    transform(chunk, encoding, callback) {
+      if (size <= config.cacheMaxEntryBytes) chunks.push(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (size <= config.cacheMaxEntryBytes) {
+        meta.headers.push(['content-length', String(size)]);
+        cacheStore.set(cacheKey, { ...meta, body: Buffer.concat(chunks) })
+          .catch(err => log.error('Cache store failed', { err }));
+      }
+      callback();
+    }
+  });
+  response.body.on('error', err => recorder.destroy(err));
+  response.body.pipe(recorder);
+  
+  const recorded = new fetch.Response(recorder, {
+    url: response.url,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+  recorded.cacheStatus = 'MISS';
+  recorded.cacheId = id;
+  return recorded;
+}
+
+// Upstream content codings we decode ourselves (zstd only where the Node runtime has it)
+const ZLIB_LENIENT = {
+  // Tolerate bodies cut short at the end, like browsers do
+  flush: zlib.constants.Z_SYNC_FLUSH,
+  finishFlush: zlib.constants.Z_SYNC_FLUSH
+};
+const UPSTREAM_DECODERS = {
+  gzip: () => zlib.createGunzip(ZLIB_LENIENT),
+  'x-gzip': () => zlib.createGunzip(ZLIB_LENIENT),
+  deflate: () => createInflate(),
+  br: () => zlib.createBrotliDecompress(),
+  ...(zlib.createZstdDecompress ? { zstd: () => zlib.createZstdDecompress() } : {})
+};
+const UPSTREAM_ACCEPT_ENCODING = Object.keys(UPSTREAM_DECODERS).filter(coding => coding !== 'x-gzip').join(', ');
+
+// "deflate" should be zlib-wrapped but some servers send raw deflate, so look at the first byte
+function createInflate() {
+  let inflater = null;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      if (!inflater) {
+        inflater = (chunk[0] & 0x0f) === 0x08 ? zlib.createInflate(ZLIB_LENIENT) : zlib.createInflateRaw(ZLIB_LENIENT);
+        inflater.on('data', data => stream.push(data));
+        inflater.on('error', err => stream.destroy(err));
+      }
+      inflater.write(chunk, () => callback());
+    },
+    flush(callback) {
+      if (!inflater) return callback();
+      inflater.on('end', () => callback());
+      inflater.end();
+    }
+  });
+  return stream;
+}
+
+// Undo the upstream Content-Encoding so every handler (and the cache) works on the real bytes.
+// The length changes with it, so Content-Length goes too. Unknown codings are left as they are.
+function decodeUpstreamBody(response, method) {
+  const codings = (response.headers.get('content-encoding') || '')
+    .split(',').map(coding => coding.trim().toLowerCase()).filter(coding => coding && coding !== 'identity');
+  if (!codings.length || codings.some(coding => !UPSTREAM_DECODERS[coding])) {
+    return response;
+  }
+  
+  const headers = new fetch.Headers(response.headers);
+  headers.delete('content-encoding');
+  headers.delete('content-length');
+  // Nothing to decode in an empty HEAD/204/304 body
+  let body = response.body;
+  if (method !== 'HEAD' && ![204, 304].includes(response.status)) {
+    // Codings are listed in the order they were applied
+    const decoders = codings.reverse().map(coding => UPSTREAM_DECODERS[coding]());
+    body = pipeline(response.body, ...decoders, err => {
+      if (err) log.warn('Failed to decode upstream body', { url: response.url, codings, err });
+    });
+  }
+  return new fetch.Response(body, {
+    url: response.url,
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// Follow an upstream body as it arrives: its raw bytes are counted, and it fails with UPSTREAM_TIMEOUT
+// when nothing has arrived for the idleTimeout setting while we were waiting for more. A body held
+// back by a slow client doesn't count as idle.
+function watchUpstreamBody(response) {
+  if (!response.body) return response;
+  const labels = { route: currentRoute(), direction: 'upstream' };
+  let timer = null;
+  const armIdleTimer = () => {
+    clearTimeout(timer);
+    if (!config.idleTimeout) return;
+    timer = setTimeout(() => {
+      if (watcher.readableLength > 0) return armIdleTimer();
+      watcher.destroy(upstreamTimeout(`Upstream body stalled for ${config.idleTimeout}ms`));
+    }, config.idleTimeout);
+  };
+  const watcher = new Transform({
+    transform(chunk, encoding, callback) {
+      metrics.bytes.inc(labels, chunk.length);
+      armIdleTimer();
+      callback(null, chunk);
+    },
+    flush(callback) {
+      clearTimeout(timer);
+      callback();
+    }
+  });
+  watcher.on('close', () => clearTimeout(timer));
+  armIdleTimer();
+  return new fetch.Response(pipeline(response.body, watcher, () => {}), {
+    url: response.url,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+function requestAborted() {
+  const err = new Error('The request was aborted');
+  err.code = 'REQUEST_ABORTED';
+  return err;
+}
+
+// One upstream request. Fails with UPSTREAM_TIMEOUT when the response headers take longer than the
+// responseTimeout setting, and with REQUEST_ABORTED when options.signal (usually the client going
+// away) fires first. The signal stays attached to the body, so aborting later cancels the download.
+async function fetchOnce(fetchUrl, options) {
+  const timeout = new AbortController();
+  const timer = config.responseTimeout ? setTimeout(() => timeout.abort(), config.responseTimeout) : null;
+  const signal = options.signal ? AbortSignal.any([options.signal, timeout.signal]) : timeout.signal;
+  const start = process.hrtime.bigint();
+  try {
+    const response = await fetch(fetchUrl, { ...options, compress: false, signal });
+    metrics.upstreamDuration.observe({ route: currentRoute() }, secondsSince(start));
+    return response;
+  } catch (err) {
+    if (options.signal && options.signal.aborted) throw requestAborted();
+    if (timeout.signal.aborted) {
+      throw upstreamTimeout(`No response from ${new url.URL(fetchUrl).host} within ${config.responseTimeout}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Idempotent requests without a streamed body can be sent again after a connection failure or a
+// 502/503/504. A response timeout isn't retried: the next attempt would most likely be just as slow.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRY_STATUSES = [502, 503, 504];
+const RETRY_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ETIMEDOUT', 'UPSTREAM_TIMEOUT'];
+
+// Exponential backoff with jitter, cut short (with REQUEST_ABORTED) if the client goes away
+async function retryBackoff(attempt, signal) {
+  const delay = config.retryDelay * 2 ** attempt * (0.5 + Math.random() / 2);
+  try {
+    await timersPromises.setTimeout(delay, undefined, { signal });
+  } catch {
+    throw requestAborted();
+  }
+}
+
+// node-fetch is told not to decompress, we do it above so the headers always match the body
+async function fetchDecoded(fetchUrl, options) {
+  const method = options.method || 'GET';
+  const retries = IDEMPOTENT_METHODS.includes(method) && !options.body ? config.retries : 0;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetchOnce(fetchUrl, options);
+      if (attempt >= retries || !RETRY_STATUSES.includes(response.status)) {
+        return decodeUpstreamBody(watchUpstreamBody(response), method);
+      }
+      response.body.resume();
+      log.debug('Retrying upstream request', { url: fetchUrl, attempt: attempt + 1, status: response.status });
+    } catch (err) {
+      // Our own response timeout is a plain error, node-fetch wraps connection failures as 'system'
+      if (attempt >= retries || err.type !== 'system' || !RETRY_ERROR_CODES.includes(err.code)) throw err;
+      log.debug('Retrying upstream request', { url: fetchUrl, attempt: attempt + 1, err });
+    }
+    metrics.retries.inc({ route: currentRoute() });
+    await retryBackoff(attempt, options.signal);
+  }
+}
+
+// fetch() through the response cache. Only body-less GETs are cached; everything else is a BYPASS.
+// So are conditional requests from the client, which is revalidating its own copy with upstream.
+async function cachedFetch(fetchUrl, options, clientCacheControl) {
+  const requestHeaders = options.headers || {};
+  const conditionalFromClient = ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since']
+    .some(name => headerValue(requestHeaders, name));
+  if (!cacheStore || (options.method || 'GET') !== 'GET' || options.body || headerValue(requestHeaders, 'range') || conditionalFromClient) {
+    const response = await fetchDecoded(fetchUrl, options);
+    response.cacheStatus = 'BYPASS';
+    return response;
+  }
+  
+  const cacheKey = `raw:${fetchUrl}`;
+  let entry = null;
+  try {
+    entry = await cacheStore.get(cacheKey);
+  } catch (err) {
+    log.error('Cache lookup failed', { err });
+  }
+  if (entry && Object.entries(entry.vary).some(([name, value]) => headerValue(requestHeaders, name) !== value)) {
+    entry = null;
+  }
+  
+  // A hard reload in the browser asks us to revalidate too
+  const client = parseCacheControl(clientCacheControl);
+  const forceRevalidate = client['no-cache'] || client['max-age'] === '0';
+  if (entry && entryIsFresh(entry) && !forceRevalidate) {
+    return responseFromEntry(entry, 'HIT');
+  }
+  
+  const conditional = { ...requestHeaders };
+  const etag = entry && entry.headers.find(([name]) => name === 'etag');
+  const lastModified = entry && entry.headers.find(([name]) => name === 'last-modified');
+  if (etag) conditional['If-None-Match'] = etag[1];
+  if (lastModified) conditional['If-Modified-Since'] = lastModified[1];
+  
+  const response = await fetchDecoded(fetchUrl, { ...options, headers: conditional });
+  
+  if (response.status === 304 && entry) {
+    // Still valid - refresh the stored headers and freshness, keep the body
+    response.body.resume();
+    const updated = ['cache-control', 'expires', 'date', 'etag', 'last-modified', 'age'];
+    const headers = entry.headers.filter(([name]) => !(updated.includes(name) && response.headers.has(name)));
+    updated.forEach(name => {
+      if (response.headers.has(name)) headers.push([name, response.headers.get(name)]);
+    });
+    const refreshed = new fetch.Response(null, { status: entry.status, headers });
+    entry = {
+      ...entry,
+      headers,
+      storedAt: Date.now(),
+      initialAge: parseInt(response.headers.get('age'), 10) || 0,
+      lifetime: freshnessLifetime(refreshed)
+    };
+    cacheStore.set(cacheKey, entry).catch(err => log.error('Cache store failed', { err }));
+    return responseFromEntry(entry, 'REVALIDATED');
+  }
+  
+  if (!isStorable(requestHeaders, response)) {
+    response.cacheStatus = 'MISS';
+    return response;
+  }
+  return recordResponse(cacheKey, requestHeaders, response);
+}
+
+// Rewritten output (HTML/CSS/JS) built from a cached raw response, or null
+// Rewritten bodies hold signed URLs, so they're only reused within one signing period
+function rewrittenKey(key) {
+  return `rewritten:${config.urlSigningSecret ? `${signatureExpiry()}:` : ''}${key}`;
+}
+
+async function getRewritten(key, response) {
+  if (!cacheStore || !response.cacheId) return null;
+  try {
+    const entry = await cacheStore.get(rewrittenKey(key));
+    return entry && entry.sourceId === response.cacheId ? entry.body.toString('utf8') : null;
+  } catch (err) {
+    log.error('Cache lookup failed', { err });
+    return null;
+  }
+}
+
+function putRewritten(key, response, text) {
+  if (!cacheStore || !response.cacheId) return;
+  cacheStore.set(rewrittenKey(key), { sourceId: response.cacheId, body: Buffer.from(text, 'utf8') })
+    .catch(err => log.error('Cache store failed', { err }));
+}
+
+// Cache headers for a response we generate from upstream content; defaultMaxAge applies when upstream sent none
+function setCacheHeaders(res, response, defaultMaxAge) {
+  if (response.headers.has('cache-control')) {
+    res.set('Cache-Control', response.headers.get('cache-control'));
+  } else if (defaultMaxAge) {
+    res.set('Cache-Control', `public, max-age=${defaultMaxAge}`);
+  }
+  ['expires', 'last-modified'].forEach(name => {
+    if (response.headers.has(name)) res.set(name, response.headers.get(name));
+  });
+  res.set('X-Cache', response.cacheStatus || 'BYPASS');
+}
+
+// Compression of what we send back, negotiated from the client's Accept-Encoding. Only text-like
+// bodies are worth it, media is compressed already.
+const COMPRESSIBLE_TYPES = /^\s*(text\/|image\/svg\+xml|application\/(javascript|ecmascript|json|[\w.+-]*\+json|xml|[\w.+-]*\+xml|vnd\.apple\.mpegurl|x-mpegurl))/i;
+const MIN_COMPRESS_BYTES = 1024;
+
+// 'br', 'gzip' or null, by the client's q-values (br wins a tie)
+function acceptedEncoding(req) {
+  const weights = {};
+  (req.headers['accept-encoding'] || '').split(',').forEach(part => {
+    const [coding, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    if (coding) weights[coding] = q ? parseFloat(q[1]) : 1;
+  });
+  const weight = coding => (coding in weights ? weights[coding] : weights['*'] || 0);
+  const best = ['br', 'gzip'].filter(coding => weight(coding) > 0).sort((a, b) => weight(b) - weight(a));
+  return best[0] || null;
+}
+
+// How to encode the response about to be sent (headers already set), or null to send it as-is
+function responseEncoding(req, res, length) {
+  if (req.method === 'HEAD' || [204, 206, 304].includes(res.statusCode)) return null;
+  if (res.getHeader('Content-Encoding') || !COMPRESSIBLE_TYPES.test(res.getHeader('Content-Type') || '')) return null;
+  res.vary('Accept-Encoding');
+  if (length !== undefined && length < MIN_COMPRESS_BYTES) return null;
+  return acceptedEncoding(req);
+}
+
+function createCompressor(encoding) {
+  // Brotli's default quality (11) is far too slow to run on every response
+  return encoding === 'br'
+    ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+    : zlib.createGzip();
+}
+
+// res.send() for a generated body, compressed when the client accepts it
+function sendBody(req, res, body) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body), 'utf8');
+  const encoding = responseEncoding(req, res, buffer.length);
+  if (!encoding) return res.send(body);
+  
+  const compressor = createCompressor(encoding);
+  const chunks = [];
+  compressor.on('data', chunk => chunks.push(chunk));
+  compressor.on('error', err => {
+    log.error('Compression failed', { err });
+    res.send(body);
+  });
+  compressor.on('end', () => {
+    res.set('Content-Encoding', encoding);
+    res.send(Buffer.concat(chunks));
+  });
+  compressor.end(buffer);
+}
+
+// Pipe a body stream to the client, compressed when the client accepts it. A Content-Length
+// set beforehand must describe the stream.
+function pipeBody(req, res, body) {
+  const length = res.getHeader('Content-Length');
+  const encoding = responseEncoding(req, res, length === undefined ? undefined : Number(length));
+  // A body that fails part way (upstream reset or stalled) cuts the response off rather than leaving it hanging
+  const done = err => {
+    if (err && !req.signal.aborted) log.warn('Response stream failed', { err });
+  };
+  if (!encoding) {
+    pipeline(body, res, done);
+    return;
+  }
+  res.removeHeader('Content-Length');
+  res.setHeader('Content-Encoding', encoding);
+  pipeline(body, createCompressor(encoding), res, done);
+}
+
+// Relay an upstream response as it is - status, body and the headers that still make sense behind
+// the proxy. `overrides` replace upstream headers (lowercase names).
+function sendUpstreamResponse(req, res, response, overrides = {}) {
+  const headers = {};
+  for (const [header, value] of response.headers.entries()) {
+    // Upstream's own CORS headers would override our policy
+    if (!HOP_BY_HOP_HEADERS.includes(header) && !header.startsWith('access-control-')) {
+      headers[header] = value;
+    }
+  }
+  
+  // Upstream cookies live in the session jar, the browser would drop them anyway
+  delete headers['set-cookie'];
+  
+  // Remove security headers that break embedded content
+  config.strippedHeaders.forEach(name => delete headers[name]);
+  
+  // A redirect we couldn't follow ourselves - keep the browser inside the proxy
+  if (headers.location) {
+    headers.location = rewriteUrl(headers.location, makeRewriteContext(req, new url.URL(response.url)));
+  }
+  
+  Object.assign(headers, overrides);
+  headers['X-Cache'] = response.cacheStatus || 'BYPASS';
+  
+  res.status(response.status);
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  pipeBody(req, res, response.body);
+}
+
+// fetch() with redirects followed by hand: cookies are stored and replayed on every hop, and
+// response.url is the final URL so relative links resolve against the page that was actually served.
+// A 307/308 that would have to replay a streamed request body is returned as-is for the browser to follow.
+async function fetchUpstream(req, targetUrl, options = {}) {
+  const chain = [targetUrl];
+  let currentUrl = targetUrl;
+  let method = options.method || 'GET';
+  let body = options.body;
+  let headers = { ...options.headers };
+  
+  for (;;) {
+    validateTarget(currentUrl);
+    await admitUpstreamHost(req, currentUrl);
+    const response = await cachedFetch(currentUrl, {
+      ...options,
+      method,
+      body,
+      headers: {
+        ...(headerValue(headers, 'accept-encoding') ? {} : { 'Accept-Encoding': UPSTREAM_ACCEPT_ENCODING }),
+        ...headers,
+        ...(await upstreamCookieHeader(req, currentUrl))
+      },
+      redirect: 'manual',
+      agent: upstreamAgent,
+      signal: AbortSignal.any([req.signal, options.signal].filter(Boolean))
+    }, req.headers['cache-control']);
+    metrics.cache.inc({ route: currentRoute(), result: response.cacheStatus });
+    await storeResponseCookies(req, response);
+    
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+    
+    const keepsMethod = response.status === 307 || response.status === 308;
+    if (keepsMethod && body) {
+      return response;
+    }
+    
+    if (chain.length > config.maxRedirects) {
+      const err = new Error(`Too many redirects (more than ${config.maxRedirects})`);
+      err.code = 'TOO_MANY_REDIRECTS';
+      err.redirectChain = chain;
+      throw err;
+    }
+    
+    let nextUrl;
+    try {
+      nextUrl = new url.URL(location, currentUrl).toString();
+    } catch {
+      response.body.resume();
+      const err = new Error('The upstream server redirected to an invalid URL');
+      err.code = 'UPSTREAM_REDIRECT_INVALID';
+      err.location = location;
+      throw err;
+    }
+    log.debug('Following redirect', { status: response.status, from: currentUrl, to: nextUrl });
+    
+    // 301/302/303 turn into a body-less GET, like browsers do
+    if (!keepsMethod && method !== 'GET' && method !== 'HEAD') {
+      method = 'GET';
+      body = undefined;
+      headers = Object.fromEntries(
+        Object.entries(headers).filter(([key]) => !/^content-(type|length|encoding)$/i.test(key))
+      );
+    }
+    // Credentials don't follow a redirect to another origin
+    if (new url.URL(nextUrl).origin !== new url.URL(currentUrl).origin) {
+      headers = Object.fromEntries(
+        Object.entries(headers).filter(([key]) => key.toLowerCase() !== 'authorization')
+      );
+    }
+    
+    // Drain the redirect body so the connection can be reused
+    response.body.resume();
+    chain.push(nextUrl);
+    currentUrl = nextUrl;
+  }
+}
+
+// Read our own session cookie from an incoming request
+function readSessionId(req) {
+  const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([A-Za-z0-9_-]+)`));
+  return match ? match[1] : null;
+}
+
+// CORS origin patterns: '*', exact origins or bare hosts, *.wildcard subdomains, /regexes/
+function parseOriginList(origins) {
+  return origins.map(origin => {
+    const regex = origin.match(/^\/(.+)\/([a-z]*)$/);
+    return regex ? new RegExp(regex[1], regex[2]) : origin.toLowerCase();
+  });
+}
+
+function originAllowed(origin, patterns) {
+  if (patterns.includes('*')) return true;
+  let parsed;
+  try {
+    parsed = new url.URL(origin);
+  } catch {
+    return false;
+  }
+  return patterns.some(pattern => {
+    if (pattern instanceof RegExp) return pattern.test(origin);
+    const [, scheme, host] = pattern.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?(.*)$/);
+    if (scheme && `${scheme}:` !== parsed.protocol) return false;
+    if (host.startsWith('*.')) return hostMatches(parsed.hostname, host);
+    return host === parsed.host;
+  });
+}
+
+function corsPolicyFor(req) {
+  // Path-encoded targets take the settings of the route they sit under
+  const overrides = config.corsRoutes[req.path] || config.corsRoutes[targetRoute(req.path)] || {};
+  const policy = {
+    origins: config.corsOrigins,
+    credentials: config.corsCredentials,
+    methods: config.corsMethods,
+    allowedHeaders: config.corsAllowedHeaders,
+    exposedHeaders: config.corsExposedHeaders,
+    maxAge: config.corsMaxAge,
+    ...overrides
+  };
+  return { ...policy, origins: parseOriginList(policy.origins) };
+}
+
+// Set the CORS response headers for this request. Returns false if its Origin isn't allowed.
+function applyCors(req, res, policy) {
+  const origin = req.headers.origin;
+  const wildcard = policy.origins.includes('*') && !policy.credentials;
+  if (!wildcard) res.vary('Origin');
+  if (origin && !originAllowed(origin, policy.origins)) return false;
+  
+  // Browsers refuse * together with credentials, so the Origin is reflected then
+  res.set('Access-Control-Allow-Origin', wildcard || !origin ? '*' : origin);
+  if (policy.credentials && origin) res.set('Access-Control-Allow-Credentials', 'true');
+  if (policy.exposedHeaders.length) res.set('Access-Control-Expose-Headers', policy.exposedHeaders.join(', '));
+  return true;
+}
+
+// CORS + remove CSP. Preflights are answered here and never reach upstream.
+function corsMiddleware(req, res, next) {
+  // Metrics are for scrapers, not for pages to read
+  if (req.path === METRICS_ENDPOINT) return next();
+  const policy = corsPolicyFor(req);
+  const allowed = applyCors(req, res, policy);
   
   // Remove security headers that break proxied content
-  res.removeHeader('X-Frame-Options');
-  res.removeHeader('Content-Security-Policy');
-  res.removeHeader('Content-Security-Policy-Report-Only');
+  config.strippedHeaders.forEach(name => res.removeHeader(name));
   
   if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+    if (allowed && req.headers['access-control-request-method']) {
+      res.set('Access-Control-Allow-Methods', policy.methods.join(', '));
+      const requestedHeaders = req.headers['access-control-request-headers'];
+      if (policy.allowedHeaders) {
+        res.set('Access-Control-Allow-Headers', policy.allowedHeaders.join(', '));
+      } else {
+        res.vary('Access-Control-Request-Headers');
+        if (requestedHeaders) res.set('Access-Control-Allow-Headers', requestedHeaders);
+      }
+      res.set('Access-Control-Max-Age', String(policy.maxAge));
+    }
+    return res.status(204).end();
   }
   next();
-});
-
-// Enhanced API proxy for POST/PUT requests (YouTube, Spotify APIs)
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+}
 
-// Handle POST requests to the main proxy
-app.post(PROXY_ENDPOINT, async (req, res) => {
-  const targetUrl = req.query.url;
-  if (!targetUrl) {
-    return res.status(400).send('Missing url parameter');
+// Give every client a session so upstream cookies can be kept per browser
+function sessionMiddleware(req, res, next) {
+  req.sessionId = readSessionId(req);
+  if (!req.sessionId) {
+    req.sessionId = crypto.randomBytes(18).toString('base64url');
+    const secure = (req.headers['x-forwarded-proto'] || req.protocol) === 'https';
+    // SameSite=None needs Secure, browsers drop the cookie otherwise
+    const sameSite = config.sessionSameSite === 'none' && !secure ? 'lax' : config.sessionSameSite;
+    const attributes = [`SameSite=${sameSite[0].toUpperCase()}${sameSite.slice(1)}`];
+    if (secure) attributes.push('Secure');
+    // Every upstream origin has its own label under the isolation domain, and a login on one of
+    // them is needed on the others. The cookie is HttpOnly, so page scripts on a label still can't read it.
+    const host = (req.headers['x-forwarded-host'] || req.hostname || '').replace(/:\d+$/, '').toLowerCase();
+    if (config.isolationDomain && domainMatches(host, config.isolationDomain)) {
+      attributes.push(`Domain=${config.isolationDomain}`);
+    }
+    res.append('Set-Cookie', `${SESSION_COOKIE}=${req.sessionId}; Path=/; HttpOnly; ${attributes.join('; ')}`);
   }
+  next();
+}
+
+// Access control. With API keys or a URL signing secret configured, a request needs one of
+//   - a key from the apiKeys setting in its X-Api-Key header (API clients)
+//   - a valid URL signature. Everything the rewriters generate is signed, so only pages we served
+//     can fetch through us.
+//   - a session (SESSION_COOKIE) that made a request with one of those in the last signedUrlTtl,
+//     which covers the URLs the client runtime builds in the browser. A signature only vouches for
+//     its own origin, so the session is only let through to the origins it had signed URLs for
+//     (an API key lets it through to all of them).
+// On top of that the client and upstream host limits apply, whether or not access is controlled.
+//
+// Limits are kept as counters in a store: any object with async increment(key, amount, ttlMs),
+// returning the new value, and get(key), returning the value or 0. A counter is dropped ttlMs after
+// it was created (never for 0) or when it gets back to 0. Swap the in-memory one for a shared
+// store with setAccessStore().
+function createMemoryAccessStore() {
+  const counters = new Map();
+  let operations = 0;
   
-  console.log(`POST proxy request: ${targetUrl}`);
+  const live = (key, now) => {
+    const counter = counters.get(key);
+    if (counter && counter.expires && counter.expires <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
   
-  try {
-    const response = await fetch(targetUrl, {
-      method: 'POST',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Content-Type': req.headers['content-type'] || 'application/json',
-        'Accept': req.headers.accept || 'application/json, text/plain, */*',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Referer': new url.URL(targetUrl).origin,
-        // Forward YouTube-specific headers
-        ...Object.fromEntries(
-          Object.entries(req.headers).filter(([key]) => 
-            key.toLowerCase().startsWith('x-youtube') || 
-            key.toLowerCase().startsWith('x-goog') ||
-            key === 'authorization'
-          )
-        )
-      },
-      body: req.body ? JSON.stringify(req.body) : undefined
-    });
-    
-    const contentType = response.headers.get('content-type') || '';
-    
-    // Copy response headers
-    const headers = {};
-    for (const [header, value] of response.headers.entries()) {
-      if (!['connection', 'keep-alive', 'transfer-encoding'].includes(header.toLowerCase())) {
-        headers[header] = value;
+  return {
+    async increment(key, amount, ttlMs) {
+      const now = Date.now();
+      // Expired counters go when they're next seen, and every so often all at once
+      if (++operations % 1000 === 0) {
+        for (const existing of counters.keys()) live(existing, now);
       }
+      let counter = live(key, now);
+      if (!counter) {
+        counter = { value: 0, expires: ttlMs ? now + ttlMs : 0 };
+        counters.set(key, counter);
+      }
+      counter.value += amount;
+      if (counter.value <= 0) counters.delete(key);
+      return counter.value;
+    },
+    async get(key) {
+      const counter = live(key, Date.now());
+      return counter ? counter.value : 0;
     }
-    
-    // Remove CSP and frame options
-    delete headers['content-security-policy'];
-    delete headers['content-security-policy-report-only'];
-    delete headers['x-frame-options'];
-    delete headers['content-encoding'];
-    headers['Access-Control-Allow-Origin'] = '*';
-    
-    const responseText = await response.text();
-    res.set(headers);
-    res.status(response.status).send(responseText);
-    
-  } catch (err) {
-    console.error('POST proxy error:', err);
-    res.status(500).json({ error: 'Proxy error', message: err.message });
+  };
+}
+
+let accessStore = createMemoryAccessStore();
+
+function setAccessStore(store) {
+  accessStore = store;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function unauthorized() {
+  const err = new Error('This proxy needs an API key or a signed URL');
+  err.code = 'UNAUTHORIZED';
+  return err;
+}
+
+function rateLimited(limit, retryAfter) {
+  const err = new Error('Too many requests, try again later');
+  err.code = 'RATE_LIMITED';
+  err.limit = limit;
+  err.retryAfter = Math.max(1, retryAfter);
+  return err;
+}
+
+function validApiKey(key) {
+  return Boolean(key) && config.apiKeys.some(apiKey => safeEqual(apiKey, key));
+}
+
+// Who a request counts against: its API key, or the address it came from
+function clientKey(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (validApiKey(apiKey)) return `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`;
+  return `ip:${req.ip || req.socket.remoteAddress}`;
+}
+
+// Whether a request for `targetUrl` may use the proxy. `signature` comes from its path, if it has
+// one. A key authorizes the request's session for every origin, a signature for the target's.
+async function authenticate(req, signature, targetUrl) {
+  if (!config.apiKeys.length && !config.urlSigningSecret) return true;
+  let origin = null;
+  try {
+    origin = targetUrl ? siteOrigin(targetUrl) : null;
+  } catch {
+    // Not a URL - only a key gets it as far as the route, which reports it
   }
-});
-app.use((req, res, next) => {
-  console.log(`\n=== REQUEST ===`);
-  console.log(`${req.method} ${req.url}`);
+  const grantKey = scope => `session:${req.sessionId}:${scope}`;
+  const grant = async scope => {
+    if (req.sessionId && !(await accessStore.get(grantKey(scope)))) {
+      await accessStore.increment(grantKey(scope), 1, config.signedUrlTtl * 1000);
+    }
+    return true;
+  };
+  
+  if (validApiKey(req.headers['x-api-key'])) return grant('*');
+  if (origin && validSignature(signature, targetUrl)) return grant(originLabel(origin));
+  if (!req.sessionId) return false;
+  if ((await accessStore.get(grantKey('*'))) > 0) return true;
+  return Boolean(origin) && (await accessStore.get(grantKey(originLabel(origin)))) > 0;
+}
+
+// Count a request against one client's or host's limits ({ rate, concurrency, dailyBytes }).
+// Throws RATE_LIMITED if it's over one, otherwise returns the function to call with the bytes
+// sent when the request is done.
+async function admit(scope, id, limits) {
+  const now = Date.now();
+  const minute = Math.floor(now / 60000);
+  const day = Math.floor(now / DAY_MS);
+  const bytesKey = `bytes:${scope}:${id}:${day}`;
+  const activeKey = `active:${scope}:${id}`;
   
-  // Special logging for SVG files
-  if (req.url.includes('check3.db67d31e.svg') || req.url.includes('.svg')) {
-    console.log(`🎯 SVG REQUEST DETECTED: ${req.url}`);
+  if (limits.dailyBytes && (await accessStore.get(bytesKey)) >= limits.dailyBytes) {
+    throw rateLimited(`${scope}-daily-bytes`, Math.ceil(((day + 1) * DAY_MS - now) / 1000));
+  }
+  if (limits.rate && (await accessStore.increment(`rate:${scope}:${id}:${minute}`, 1, 60000)) > limits.rate) {
+    throw rateLimited(`${scope}-rate`, Math.ceil(((minute + 1) * 60000 - now) / 1000));
+  }
+  if (limits.concurrency && (await accessStore.increment(activeKey, 1, 0)) > limits.concurrency) {
+    await accessStore.increment(activeKey, -1, 0);
+    throw rateLimited(`${scope}-concurrency`, 1);
+  }
+  
+  let done = false;
+  return async bytes => {
+    if (done) return;
+    done = true;
+    if (limits.concurrency) await accessStore.increment(activeKey, -1, 0);
+    if (limits.dailyBytes && bytes) await accessStore.increment(bytesKey, bytes, DAY_MS);
+  };
+}
+
+function clientLimits() {
+  return { rate: config.clientRateLimit, concurrency: config.clientConcurrency, dailyBytes: config.clientDailyBytes };
+}
+
+function hostLimits() {
+  return { rate: config.hostRateLimit, concurrency: config.hostConcurrency, dailyBytes: config.hostDailyBytes };
+}
+
+// Settle a request's limits once the response is done, with the bytes it sent
+function releaseWhenDone(req, res, release) {
+  res.on('close', () => release(req.bytesSent || 0).catch(err => log.error('Access store update failed', { err })));
+}
+
+// The signature segment at the start of `rest`, what follows a route's own path, if there is one
+function targetSignature(rest) {
+  return (rest.match(/^\/_([\w.-]+)\//) || [])[1];
+}
+
+// The target a request is for, as far as access control is concerned: the same as the route will
+// use, except that the universal route's only counts for its origin. Also the signature, if any.
+function requestedTarget(req) {
+  const route = targetRoute(req.path);
+  if (route) {
+    const rest = req.path.slice(route.length);
+    return { targetUrl: decodeTargetPath(rest), signature: targetSignature(rest) };
+  }
+  if ([config.proxyEndpoint, '/css-proxy', '/js-proxy', '/svg-proxy', WS_ENDPOINT].includes(req.path)) {
+    return { targetUrl: typeof req.query.url === 'string' ? req.query.url : null };
+  }
+  if (typeof req.query.origin === 'string') return { targetUrl: req.query.origin };
+  const documentUrl = documentUrlFromReferer(req);
+  return { targetUrl: documentUrl ? documentUrl.href : null };
+}
+
+async function accessMiddleware(req, res, next) {
+  // The client runtime is the same static script for everyone
+  if (req.path === CLIENT_SCRIPT_ENDPOINT) return next();
+  if (req.path === METRICS_ENDPOINT) {
+    return metricsAuthorized(req) ? next() : sendProxyError(req, res, unauthorized());
   }
   
+  try {
+    const { signature, targetUrl } = requestedTarget(req);
+    if (!(await authenticate(req, signature, targetUrl))) throw unauthorized();
+    releaseWhenDone(req, res, await admit('client', clientKey(req), clientLimits()));
+  } catch (err) {
+    return sendProxyError(req, res, err);
+  }
   next();
-});
+}
 
-// Special SVG proxy endpoint
-app.get('/svg-proxy', async (req, res) => {
-  const targetUrl = req.query.url;
-  if (!targetUrl) return res.status(400).send('Missing url parameter');
+// Scrapers send the metrics token as a bearer token, people can use an API key
+function metricsAuthorized(req) {
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (config.metricsToken && bearer && safeEqual(bearer[1], config.metricsToken)) return true;
+  if (validApiKey(req.headers['x-api-key'])) return true;
+  return !config.metricsToken && !config.apiKeys.length && !config.urlSigningSecret;
+}
+
+// The upstream host's limits count the first upstream request made for a client request
+async function admitUpstreamHost(req, targetUrl) {
+  if (req.upstreamHostAdmitted || !req.res) return;
+  req.upstreamHostAdmitted = true;
+  releaseWhenDone(req, req.res, await admit('host', new url.URL(targetUrl).hostname, hostLimits()));
+}
+
+// Which route a path belongs to, as the route label on metrics and log lines
+function routeLabel(path) {
+  const routes = {
+    [config.proxyEndpoint]: 'proxy',
+    [config.pathPrefix]: 'proxy',
+    '/svg-proxy': 'svg',
+    '/css-proxy': 'css',
+    '/js-proxy': 'js',
+    [CLIENT_SCRIPT_ENDPOINT]: 'client_script',
+    [WS_ENDPOINT]: 'websocket',
+    [METRICS_ENDPOINT]: 'metrics'
+  };
+  // Path-encoded targets follow the route's own path
+  return routes[path] || routes[path.replace(/^(\/[^/]*)\/.*$/, '$1')] || 'universal';
+}
+
+function requestIdFor(req) {
+  const incoming = req.headers['x-request-id'];
+  return /^[\w.:-]{1,128}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+}
+
+// Give every request an ID - the client's own X-Request-Id if it looks sane, so IDs from a load
+// balancer in front carry through - and send it back. The rest of the request runs in its log
+// context. When the response is done it is counted, timed and logged.
+function requestContextMiddleware(req, res, next) {
+  req.id = requestIdFor(req);
+  res.set('X-Request-Id', req.id);
+  const context = { requestId: req.id, route: routeLabel(req.path) };
+  const start = process.hrtime.bigint();
+  
+  // Upstream requests made for this one are aborted if the client goes away before the response is done
+  const clientGone = new AbortController();
+  req.signal = clientGone.signal;
   
-  console.log(`SVG Proxy: ${targetUrl}`);
+  // Body bytes as written, after compression
+  let sent = 0;
+  const { write, end } = res;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') sent += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+    req.bytesSent = sent;
+  };
+  res.write = function (chunk, ...args) {
+    count(chunk, args[0]);
+    return write.call(this, chunk, ...args);
+  };
+  res.end = function (chunk, ...args) {
+    count(chunk, args[0]);
+    return end.call(this, chunk, ...args);
+  };
+  
+  res.on('close', () => requestContext.run(context, () => {
+    if (!res.writableFinished) clientGone.abort();
+    const seconds = secondsSince(start);
+    const { route } = context;
+    metrics.requests.inc({ route, method: req.method, status: res.statusCode });
+    metrics.requestDuration.observe({ route }, seconds);
+    metrics.bytes.inc({ route, direction: 'client' }, sent);
+    log.info('Request finished', {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      bytes: sent,
+      cache: res.getHeader('X-Cache'),
+      // The client went away before the response was complete
+      aborted: res.writableFinished ? undefined : true
+    });
+  }));
   
+  requestContext.run(context, next);
+}
+
+function metricsRoute(req, res) {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.set('Cache-Control', 'no-store');
+  res.send(renderMetrics());
+}
+
+// Isolation mode: a request for one origin's content that came in on another origin's host (or the
+// proxy's own) is redirected to the right one, keeping the method and body. The new URL is the one
+// the rewriters would have generated on `route`, signed if URLs are. Returns true if it redirected.
+// WebSockets aren't redirected, browsers don't follow redirects for them and they aren't bound
+// by the same-origin policy anyway.
+function redirectToIsolatedHost(req, res, targetUrl, route) {
+  if (!config.isolationDomain) return false;
+  const { proxyBase } = makeRewriteContext(req);
+  let expected;
   try {
-    const response = await fetch(targetUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'image/svg+xml,image/*,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'no-cache'
-      }
+    expected = isolatedBase(proxyBase, targetUrl);
+  } catch {
+    // Not a URL - the route reports it
+    return false;
+  }
+  if (expected === proxyBase) return false;
+  res.set('Cache-Control', 'no-store');
+  res.redirect(307, proxiedUrl(proxyBase, route, targetUrl));
+  return true;
+}
+
+// Special SVG proxy endpoint
+async function svgProxyRoute(req, res) {
+  const targetUrl = requestTarget(req, '/svg-proxy');
+  if (!targetUrl) return sendError(req, res, 400, 'Missing or invalid target URL');
+  if (redirectToIsolatedHost(req, res, targetUrl, '/svg-proxy')) return;
+  
+  try {
+    const response = await fetchUpstream(req, targetUrl, {
+      headers: upstreamHeaders(req, targetUrl, { 'Accept': 'image/svg+xml,image/*,*/*;q=0.8' })
     });
     
-    if (!response.ok) {
-      console.log(`SVG fetch failed: ${response.status} ${response.statusText}`);
-      return res.status(response.status).send('Failed to fetch SVG');
+    // Upstream's own error page (or a redirect we couldn't follow) goes to the client as it is, and
+    // so does anything that turned out to be another image type. In sanitize mode an SVG error page
+    // is sanitized too, it would run on our origin all the same.
+    const contentType = response.headers.get('content-type') || '';
+    const rewritable = response.ok || (config.svgSanitize && response.status >= 400);
+    if (!rewritable || ![targetUrl, response.url].some(svgUrl => isSvg(contentType, svgUrl))) {
+      return sendUpstreamResponse(req, res, response);
     }
     
-    const svgContent = await response.text();
-    console.log(`SVG content length: ${svgContent.length}`);
-    
-    // Force correct headers for SVG
-    res.set('Content-Type', 'image/svg+xml');
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Cache-Control', 'public, max-age=3600');
-    
-    res.send(svgContent);
+    await sendRewrittenSvg(req, res, response);
   } catch (err) {
-    console.error('SVG proxy error:', err);
-    res.status(500).send('Error fetching SVG: ' + err.message);
+    sendProxyError(req, res, err, targetUrl);
   }
-});
+}
 
 // Proxy endpoint for CSS files
-app.get('/css-proxy', async (req, res) => {
-  const targetUrl = req.query.url;
-  if (!targetUrl) return res.status(400).send('Missing url parameter');
-  
-  console.log(`CSS Proxy: ${targetUrl}`);
+async function cssProxyRoute(req, res) {
+  const targetUrl = requestTarget(req, '/css-proxy');
+  if (!targetUrl) return sendError(req, res, 400, 'Missing or invalid target URL');
+  if (redirectToIsolatedHost(req, res, targetUrl, '/css-proxy')) return;
   
   try {
-    const response = await fetch(targetUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/css,*/*;q=0.1',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      }
+    const response = await fetchUpstream(req, targetUrl, {
+      headers: upstreamHeaders(req, targetUrl, { 'Accept': 'text/css,*/*;q=0.1' })
     });
     
-    if (!response.ok) {
-      console.log(`CSS fetch failed: ${response.status} ${response.statusText}`);
-      return res.status(response.status).send('Failed to fetch CSS');
-    }
-    
-    let css = await response.text();
-    const baseUrl = new url.URL(targetUrl);
+    // Upstream's own error page (or a redirect we couldn't follow) goes to the client as it is
+    if (!response.ok) return sendUpstreamResponse(req, res, response);
     
-    // Enhanced CSS proxy with better URL handling
-    css = css.replace(/url\s*\(\s*(['"]?)([^'"\)]+?)\1\s*\)/gi, (match, quote, urlPath) => {
-      // Skip data URLs and already processed URLs
-      if (urlPath.startsWith('data:') || urlPath.includes(req.get('host'))) return match;
-      
-      console.log(`CSS Proxy rewriting: ${urlPath}`);
-      
-      let absUrl;
-      try {
-        absUrl = new url.URL(urlPath, baseUrl).toString();
-      } catch {
-        console.log(`Failed to resolve CSS URL: ${urlPath}`);
-        return match;
-      }
-      
-      const proto = req.headers['x-forwarded-proto'] || req.protocol;
-      const host = req.headers['x-forwarded-host'] || req.get('host');
-      const rewritten = `${proto}://${host}${PROXY_ENDPOINT}?url=${encodeURIComponent(absUrl)}`;
-      
-      console.log(`CSS URL rewritten: ${urlPath} -> ${rewritten}`);
-      return `url(${quote}${rewritten}${quote})`;
+    await sendRewrittenCss(req, res, response);
+  } catch (err) {
+    sendProxyError(req, res, err, targetUrl);
+  }
+}
+
+// Proxy endpoint for JavaScript files (classic scripts and ES modules)
+async function jsProxyRoute(req, res) {
+  const targetUrl = requestTarget(req, '/js-proxy');
+  if (!targetUrl) return sendError(req, res, 400, 'Missing or invalid target URL');
+  if (redirectToIsolatedHost(req, res, targetUrl, '/js-proxy')) return;
+  
+  try {
+    const response = await fetchUpstream(req, targetUrl, {
+      headers: upstreamHeaders(req, targetUrl, { 'Accept': '*/*' })
     });
     
-    res.set('Content-Type', 'text/css');
-    res.set('Cache-Control', 'public, max-age=3600');
-    res.send(css);
+    // Upstream's own error page (or a redirect we couldn't follow) goes to the client as it is
+    if (!response.ok) return sendUpstreamResponse(req, res, response);
+    
+    await sendRewrittenJs(req, res, response);
   } catch (err) {
-    console.error('CSS proxy error:', err);
-    res.status(500).send('Error fetching CSS: ' + err.message);
+    sendProxyError(req, res, err, targetUrl);
   }
-});
+}
+
+// Client runtime served to proxied pages
+function clientScriptRoute(req, res) {
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  res.set('Cache-Control', `public, max-age=${config.defaultMaxAge}`);
+  sendBody(req, res, `(${blazeClientRuntime.toString()})();\n`);
+}
+
+// Plain GET on the WebSocket endpoint - the real work happens in the upgrade handler
+function wsEndpointRoute(req, res) {
+  res.set('Upgrade', 'websocket');
+  res.status(426).send('WebSocket upgrade required');
+}
+
+// Client headers that are never forwarded: they belong to the hop to us, to our session, or to our
+// own negotiation with upstream
+const NEVER_FORWARDED = [
+  'host', 'cookie', 'connection', 'keep-alive', 'upgrade', 'te', 'trailer', 'transfer-encoding', 'proxy-*',
+  'accept-encoding', 'forwarded', 'via', 'x-forwarded-*', 'x-real-ip', 'sec-websocket-*',
+  // Our own API key
+  'x-api-key'
+];
+
+function headerNameMatches(name, patterns) {
+  return patterns.some(pattern => (pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern));
+}
+
+// The default header profile merged with the first other one whose hosts match the target
+function headerProfileFor(targetUrl) {
+  const { default: base = {}, ...profiles } = config.headerProfiles;
+  let hostname = '';
+  try {
+    hostname = new url.URL(targetUrl).hostname.toLowerCase();
+  } catch {
+    // Unparseable targets get the default profile, validateTarget rejects them anyway
+  }
+  const match = Object.values(profiles)
+    .find(profile => (profile.hosts || []).some(pattern => hostMatches(hostname, pattern.toLowerCase()))) || {};
+  const lower = names => names.map(name => name.toLowerCase());
+  return {
+    forward: lower([...(base.forward || []), ...(match.forward || [])]),
+    rewrite: lower([...(base.rewrite || []), ...(match.rewrite || [])]),
+    add: { ...base.add, ...match.add }
+  };
+}
+
+// Referer and Origin name the proxy; map them back to the upstream page they stand for
+function rewrittenClientHeader(req, name, targetUrl) {
+  const documentUrl = documentUrlFromReferer(req);
+  if (name === 'referer') return documentUrl ? documentUrl.toString() : null;
+  return (documentUrl || new url.URL(targetUrl)).origin;
+}
+
+// Headers for an upstream request, built from the target's header profile. `defaults` are route
+// headers the client's own replace (like Accept), `overrides` always win (like Accept-Encoding for ranges).
+function upstreamHeaders(req, targetUrl, defaults = {}, overrides = {}) {
+  const profile = headerProfileFor(targetUrl);
+  const headers = {};
+  const set = (name, value) => {
+    headers[name.toLowerCase()] = value;
+  };
+  
+  Object.entries(profile.add).forEach(([name, value]) => {
+    set(name, value.replace(/\{(\w+)\}/g, (placeholder, key) => (key in config ? String(config[key]) : placeholder)));
+  });
+  Object.entries(defaults).forEach(([name, value]) => set(name, value));
+  Object.entries(req.headers).forEach(([name, value]) => {
+    if (headerNameMatches(name, NEVER_FORWARDED)) return;
+    if (profile.rewrite.includes(name)) {
+      const mapped = rewrittenClientHeader(req, name, targetUrl);
+      if (mapped) set(name, mapped);
+    } else if (headerNameMatches(name, profile.forward)) {
+      set(name, value);
+    }
+  });
+  Object.entries(overrides).forEach(([name, value]) => set(name, value));
+  return headers;
+}
+
+// Range/If-Range for media seeking. Ranges only make sense on the raw bytes, so ask for no compression.
+function rangeRequestHeaders(req) {
+  if (!req.headers.range) return {};
+  return {
+    'Range': req.headers.range,
+    'Accept-Encoding': 'identity',
+    ...(req.headers['if-range'] ? { 'If-Range': req.headers['if-range'] } : {})
+  };
+}
+
+// Every path except the ones with routes of their own
+function universalRoutePattern() {
+  const reserved = [config.proxyEndpoint, config.pathPrefix, '/css-proxy', '/svg-proxy', '/js-proxy', WS_ENDPOINT, CLIENT_SCRIPT_ENDPOINT, METRICS_ENDPOINT]
+    .map(route => route.slice(1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(?:/|$)');
+  return new RegExp(`^\\/(?!${reserved.join('|')})(.*)`);
+}
 
 // Universal resource proxy - handles all other paths
-app.get(/^\/(?!q$|css-proxy$|svg-proxy$)(.*)/, async (req, res) => {
+async function universalRoute(req, res) {
   const requestedPath = req.params[0];
-  console.log(`Universal proxy request: ${requestedPath}`);
   
-  // Try to get the original site from query param or referer
+  // Root-relative URLs that got past the rewriters end up here. The site they belong to comes from
+  // ?origin= or the proxied page in the Referer.
   let origin = req.query.origin;
   
-  if (!origin && req.headers.referer) {
-    console.log(`Checking referer: ${req.headers.referer}`);
-    const refMatch = req.headers.referer.match(/[?&]url=([^&]+)/);
-    if (refMatch) {
-      try {
-        const decodedUrl = decodeURIComponent(refMatch[1]);
-        const originUrl = new url.URL(decodedUrl);
-        origin = originUrl.origin;
-        console.log(`Extracted origin from referer: ${origin}`);
-      } catch (e) {
-        console.log('Failed to extract origin from referer:', e.message);
-      }
-    }
+  if (!origin) {
+    const documentUrl = documentUrlFromReferer(req);
+    if (documentUrl) origin = documentUrl.origin;
   }
   
   if (!origin) {
-    console.log('No origin found, returning 400');
-    return res.status(400).send(`Missing origin parameter. Path: ${requestedPath}`);
+    return sendError(req, res, 400, 'Missing origin parameter', { path: requestedPath });
   }
-  
-  // Construct the target URL
-  const targetPath = requestedPath.startsWith('/') ? requestedPath : '/' + requestedPath;
-  let targetUrl = origin.replace(/\/$/, '') + targetPath;
-  
-  // Add query parameters (except origin)
-  if (req.url.includes('?')) {
-    const urlObj = new URL(req.url, `http://${req.headers.host}`);
-    urlObj.searchParams.delete('origin');
-    if (urlObj.search) {
-      targetUrl += urlObj.search;
-    }
+  // ?origin=a&origin=b comes in as an array
+  if (typeof origin !== 'string') {
+    return sendError(req, res, 400, 'Invalid origin parameter', { path: requestedPath });
   }
   
-  console.log(`Fetching resource: ${targetUrl}`);
-  
+  let targetUrl;
   try {
-    const response = await fetch(targetUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': req.headers.accept || '*/*',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache',
-        'Referer': origin
-      }
-    });
+    // Construct the target URL
+    const targetPath = requestedPath.startsWith('/') ? requestedPath : '/' + requestedPath;
+    targetUrl = origin.replace(/\/$/, '') + targetPath;
     
-    if (!response.ok) {
-      console.log(`Resource fetch failed: ${response.status} ${response.statusText}`);
-      return res.status(response.status).send(`Failed to fetch: ${response.status} ${response.statusText}`);
-    }
-    
-    // Copy response headers (excluding hop-by-hop headers)
-    const hopByHop = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
-    const headers = {};
-    
-    for (const [header, value] of response.headers.entries()) {
-      if (!hopByHop.includes(header.toLowerCase())) {
-        headers[header] = value;
+    // Add query parameters (except origin). Only the path and query matter, not the Host header.
+    if (req.url.includes('?')) {
+      const urlObj = new URL(req.url, 'http://localhost');
+      urlObj.searchParams.delete('origin');
+      if (urlObj.search) {
+        targetUrl += urlObj.search;
       }
     }
+    if (redirectToIsolatedHost(req, res, targetUrl, config.pathPrefix)) return;
     
-    // Handle content encoding
-    delete headers['content-encoding'];
-    
-    // Set CORS headers
-    headers['Access-Control-Allow-Origin'] = '*';
-    
-    console.log(`Successfully fetched resource: ${targetUrl} (${response.status})`);
-    res.writeHead(response.status, headers);
-    response.body.pipe(res);
+    const response = await fetchUpstream(req, targetUrl, {
+      headers: upstreamHeaders(req, targetUrl, { 'Accept': '*/*' }, rangeRequestHeaders(req))
+    });
     
+    // Errors included - a 416 carries a Content-Range the player needs
+    sendUpstreamResponse(req, res, response);
   } catch (err) {
-    console.error('Resource proxy error:', err);
-    res.status(500).send('Error fetching resource: ' + err.message);
+    sendProxyError(req, res, err, targetUrl);
   }
-});
+}
+
+// Stream the raw client body upstream untouched, capped at the maxBodySize setting
+function requestBodyStream(req) {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > config.maxBodySize) {
+        const err = new Error('Request body too large');
+        err.code = 'BODY_TOO_LARGE';
+        callback(err);
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+  req.on('error', err => limiter.destroy(err));
+  return req.pipe(limiter);
+}
 
-// Main proxy endpoint
-app.get(PROXY_ENDPOINT, async (req, res) => {
-  const targetUrl = req.query.url;
+// Main proxy endpoint - every method goes through here, request bodies are streamed upstream unchanged
+async function mainProxyRoute(req, res) {
+  // /p/https/example.com has to become /p/https/example.com/, relative URLs would resolve against /p/https/ otherwise
+  const bareOrigin = req.url.match(/^(\/[^/?]+(?:\/_[\w.-]+)?\/(?:~[\w-]+|[a-z]+\/[^/?#]+))(\?.*)?$/i);
+  if (bareOrigin && req.url.startsWith(`${config.pathPrefix}/`)) {
+    return res.redirect(301, `${req.baseUrl}${bareOrigin[1]}/${bareOrigin[2] || ''}`);
+  }
+  
+  const targetUrl = requestTarget(req, config.pathPrefix);
   if (!targetUrl) {
-    return res.status(400).send('Missing url parameter');
+    return sendError(req, res, 400, 'Missing or invalid target URL');
   }
+  if (redirectToIsolatedHost(req, res, targetUrl, config.pathPrefix)) return;
   
-  console.log(`Main proxy request: ${targetUrl}`);
+  const hasBody = !['GET', 'HEAD'].includes(req.method);
+  if (hasBody && parseInt(req.headers['content-length'] || '0', 10) > config.maxBodySize) {
+    return sendError(req, res, 413, 'Request body too large');
+  }
+  
+  // A body that turns out too large, or breaks off, aborts the upstream request and is what gets reported
+  const upload = new AbortController();
+  let uploadError = null;
+  const body = hasBody ? requestBodyStream(req) : undefined;
+  if (body) {
+    body.on('error', err => {
+      uploadError = err;
+      upload.abort();
+    });
+  }
   
   try {
     // Determine the appropriate Accept header based on file extension
@@ -299,391 +3675,367 @@ app.get(PROXY_ENDPOINT, async (req, res) => {
     
     if (targetUrl.match(/\.(png|jpg|jpeg|gif|webp|ico)(\?|$)/i)) {
       acceptHeader = 'image/webp,image/apng,image/*,*/*;q=0.8';
-    } else if (targetUrl.match(/\.svg(\?|$)/i)) {
+    } else if (SVG_URL.test(targetUrl)) {
       acceptHeader = 'image/svg+xml,image/*,*/*;q=0.8';
     } else if (targetUrl.match(/\.(css)(\?|$)/i)) {
       acceptHeader = 'text/css,*/*;q=0.1';
     } else if (targetUrl.match(/\.(js)(\?|$)/i)) {
       acceptHeader = 'application/javascript,text/javascript,*/*;q=0.1';
     }
+    // API calls know what they want back
+    if (hasBody) {
+      acceptHeader = 'application/json, text/plain, */*';
+    }
 
-    const response = await fetch(targetUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': acceptHeader,
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache',
-        'Upgrade-Insecure-Requests': '1',
-        'Sec-Fetch-Dest': targetUrl.match(/\.(png|jpg|jpeg|gif|webp|ico|svg)(\?|$)/i) ? 'image' : 'document',
-        'Sec-Fetch-Mode': 'no-cors',
-        'Sec-Fetch-Site': 'cross-site',
-        // YouTube-specific headers
-        'X-YouTube-Client-Name': '1',
-        'X-YouTube-Client-Version': '2.20231219.01.00'
-      }
+    const response = await fetchUpstream(req, targetUrl, {
+      method: req.method,
+      // The browser's own Accept wins over the guess above
+      headers: upstreamHeaders(req, targetUrl, { 'Accept': acceptHeader }, rangeRequestHeaders(req)),
+      body,
+      signal: upload.signal
     });
     
-    console.log(`Fetched ${targetUrl}: ${response.status} ${response.statusText}, Content-Type: ${response.headers.get('content-type')}`);
+    const contentType = response.headers.get('content-type') || '';
     
-    // Special debugging for SVG files
-    if (targetUrl.includes('.svg')) {
-      console.log(`🎯 SVG RESPONSE DEBUG:`);
-      console.log(`  URL: ${targetUrl}`);
-      console.log(`  Status: ${response.status} ${response.statusText}`);
-      console.log(`  Content-Type: ${response.headers.get('content-type')}`);
-      console.log(`  Content-Length: ${response.headers.get('content-length')}`);
+    // JavaScript and CSS get the same rewrite as /js-proxy and /css-proxy (never partial content)
+    const rewritable = response.ok && response.status !== 206 && req.method !== 'HEAD' &&
+      !response.headers.has('content-encoding');
+    if (rewritable && /(java|ecma)script/i.test(contentType)) {
+      await sendRewrittenJs(req, res, response);
+      return;
+    }
+    if (rewritable && contentType.includes('text/css')) {
+      await sendRewrittenCss(req, res, response);
+      return;
+    }
+    // SVG error pages too in sanitize mode, like /svg-proxy
+    const svgRewritable = rewritable || (config.svgSanitize && response.status >= 400 && req.method !== 'HEAD' &&
+      !response.headers.has('content-encoding'));
+    if (svgRewritable && [targetUrl, response.url].some(svgUrl => isSvg(contentType, svgUrl))) {
+      await sendRewrittenSvg(req, res, response);
+      return;
+    }
+    if (rewritable && isHlsManifest(contentType, response.url)) {
+      await sendRewrittenManifest(req, res, response, 'hls');
+      return;
+    }
+    if (rewritable && isDashManifest(contentType, response.url)) {
+      await sendRewrittenManifest(req, res, response, 'dash');
+      return;
     }
     
-    const contentType = response.headers.get('content-type') || '';
-    
-    // For non-HTML content, stream directly
-    if (!contentType.includes('text/html')) {
-      const hopByHop = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
-      const headers = {};
-      
-      for (const [header, value] of response.headers.entries()) {
-        if (!hopByHop.includes(header.toLowerCase())) {
-          headers[header] = value;
-        }
-      }
-      
-      delete headers['content-encoding'];
-      
-      // Remove security headers that break embedded content
-      delete headers['content-security-policy'];
-      delete headers['content-security-policy-report-only'];
-      delete headers['x-frame-options'];
-      delete headers['x-content-type-options'];
-      delete headers['strict-transport-security'];
-      
-      headers['Access-Control-Allow-Origin'] = '*';
-      
-      // Ensure SVG files have the correct content type
-      if (targetUrl.match(/\.svg(\?|$)/i) && !contentType.includes('svg')) {
-        headers['content-type'] = 'image/svg+xml';
-        console.log(`🔧 Fixed SVG content-type from '${contentType}' to 'image/svg+xml'`);
+    // For non-HTML content (HEAD requests, bodyless statuses, ranges and codings we can't decode too), stream directly
+    if (!contentType.includes('text/html') || req.method === 'HEAD' || [204, 206, 304].includes(response.status) ||
+        response.headers.has('content-encoding')) {
+      // Some servers label images as octet-stream or text/plain
+      const overrides = {};
+      if (SVG_URL.test(targetUrl) && !contentType.includes('svg')) {
+        overrides['content-type'] = 'image/svg+xml';
       }
-      
-      // Ensure PNG/JPG files have correct content types
       if (targetUrl.match(/\.png(\?|$)/i) && !contentType.includes('png')) {
-        headers['content-type'] = 'image/png';
+        overrides['content-type'] = 'image/png';
       }
       if (targetUrl.match(/\.jpe?g(\?|$)/i) && !contentType.includes('jpeg')) {
-        headers['content-type'] = 'image/jpeg';
-      }
-      
-      console.log(`Serving ${targetUrl} as ${headers['content-type'] || contentType}`);
-      
-      // Special handling for SVG files
-      if (targetUrl.includes('.svg')) {
-        console.log(`🎯 SERVING SVG FILE:`);
-        console.log(`  Final headers:`, headers);
-        console.log(`  Response status: ${response.status}`);
+        overrides['content-type'] = 'image/jpeg';
       }
       
-      res.writeHead(response.status, headers);
-      response.body.pipe(res);
+      sendUpstreamResponse(req, res, response, overrides);
       return;
     }
     
-    // Handle HTML content
-    const html = await response.text();
-    const $ = cheerio.load(html, { decodeEntities: false });
-    const baseUrl = new url.URL(targetUrl);
-    
-    const proto = req.headers['x-forwarded-proto'] || req.protocol;
-    const host = req.headers['x-forwarded-host'] || req.get('host');
-    const proxyBase = `${proto}://${host}`;
-    
-    // Helper to rewrite URLs with SVG special handling
-    function rewriteUrl(originalUrl) {
-      if (!originalUrl) return originalUrl;
-      
-      // Skip certain URL types
-      if (/^(data:|javascript:|mailto:|tel:|#)/i.test(originalUrl)) {
-        return originalUrl;
-      }
-      
-      // Skip already processed URLs
-      if (originalUrl.includes(proxyBase)) {
-        return originalUrl;
-      }
-      
-      // Handle websockets
-      if (/^wss?:\/\//i.test(originalUrl)) {
-        const wsProto = proto === 'https' ? 'wss:' : 'ws:';
-        return originalUrl.replace(/^wss?:/, wsProto).replace(/\/\/[^\/]+/, `//${host}`);
-      }
-      
-      // Convert to absolute URL
-      let absUrl;
-      try {
-        absUrl = new url.URL(originalUrl, baseUrl).toString();
-      } catch (e) {
-        console.log(`Failed to resolve URL: ${originalUrl} (${e.message})`);
-        return originalUrl;
-      }
-      
-      // Special handling for SVG files - use SVG proxy
-      if (/\.svg(\?|$)/i.test(absUrl)) {
-        console.log(`Using SVG proxy for: ${originalUrl} -> ${absUrl}`);
-        return `${proxyBase}/svg-proxy?url=${encodeURIComponent(absUrl)}`;
-      }
-      
-      // Log other image URLs for debugging
-      if (/\.(png|jpg|jpeg|gif|webp|ico)(\?|$)/i.test(absUrl)) {
-        console.log(`Rewriting image URL: ${originalUrl} -> ${absUrl}`);
-      }
-      
-      // Everything else goes through main proxy
-      const rewritten = `${proxyBase}${PROXY_ENDPOINT}?url=${encodeURIComponent(absUrl)}`;
-      return rewritten;
-    }
-    
-    // Rewrite various attributes
-    const selectors = [
-      { sel: 'a[href]', attr: 'href' },
-      { sel: 'img[src]', attr: 'src' },
-      { sel: 'script[src]', attr: 'src' },
-      { sel: 'iframe[src]', attr: 'src' },
-      { sel: 'frame[src]', attr: 'src' },
-      { sel: 'embed[src]', attr: 'src' },
-      { sel: 'object[data]', attr: 'data' },
-      { sel: 'video[src]', attr: 'src' },
-      { sel: 'video[poster]', attr: 'poster' },
-      { sel: 'audio[src]', attr: 'src' },
-      { sel: 'source[src]', attr: 'src' },
-      { sel: 'input[type="image"][src]', attr: 'src' },
-      { sel: 'form[action]', attr: 'action' },
-      { sel: 'link[rel="icon"][href]', attr: 'href' },
-      { sel: 'link[rel="shortcut icon"][href]', attr: 'href' },
-      { sel: 'link[rel="apple-touch-icon"][href]', attr: 'href' },
-      { sel: 'area[href]', attr: 'href' },
-      { sel: 'base[href]', attr: 'href' }
-    ];
-    
-    selectors.forEach(({ sel, attr }) => {
-      $(sel).each((_, el) => {
-        const val = $(el).attr(attr);
-        if (val) {
-          $(el).attr(attr, rewriteUrl(val));
-        }
-      });
-    });
-    
-    // Handle srcset attributes
-    $('[srcset]').each((_, el) => {
-      const srcset = $(el).attr('srcset');
-      if (srcset) {
-        const rewritten = srcset.split(',').map(item => {
-          const parts = item.trim().split(/\s+/);
-          if (parts.length > 0) {
-            parts[0] = rewriteUrl(parts[0]);
-          }
-          return parts.join(' ');
-        }).join(', ');
-        $(el).attr('srcset', rewritten);
-      }
-    });
+    // Set response headers - the page is always re-encoded as UTF-8. Upstream error pages are
+    // rewritten like any other page and keep their status.
+    res.status(response.status);
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    setCacheHeaders(res, response);
     
-    // Handle CSS files specially
-    $('link[rel="stylesheet"]').each((_, el) => {
-      const href = $(el).attr('href');
-      if (href) {
-        let absUrl;
-        try {
-          absUrl = new url.URL(href, baseUrl).toString();
-        } catch {
-          absUrl = href;
-        }
-        $(el).attr('href', `${proxyBase}/css-proxy?url=${encodeURIComponent(absUrl)}`);
-      }
-    });
+    // Reuse the rewritten page while the upstream copy it was built from is still current
+    const htmlCacheKey = `html:${makeRewriteContext(req).proxyBase}:${targetUrl}:${response.url}`;
+    const cachedPage = await getRewritten(htmlCacheKey, response);
+    if (cachedPage !== null) {
+      response.body.resume();
+      return sendBody(req, res, cachedPage);
+    }
     
-    // Handle meta refresh
-    $('meta[http-equiv="refresh"]').each((_, el) => {
-      const content = $(el).attr('content');
-      if (content) {
-        const match = content.match(/^(\d+;\s*url=)(.*)$/i);
-        if (match) {
-          $(el).attr('content', match[1] + rewriteUrl(match[2]));
-        }
-      }
-    });
+    // Resolve against the page we ended up on, not the URL we were asked for
+    const baseUrl = new url.URL(response.url);
+    const ctx = makeRewriteContext(req, baseUrl);
     
-    // Enhanced CSS rewriting function
-    function rewriteCss(css) {
-      // Handle url() with various quote styles and whitespace
-      return css.replace(/url\s*\(\s*(['"]?)([^'"\)]+?)\1\s*\)/gi, (match, quote, urlPath) => {
-        // Skip data URLs and already processed URLs
-        if (urlPath.startsWith('data:') || urlPath.includes(proxyBase)) return match;
-        
-        console.log(`Rewriting CSS URL: ${urlPath}`);
-        const rewritten = rewriteUrl(urlPath);
-        console.log(`Rewritten to: ${rewritten}`);
-        
-        return `url(${quote}${rewritten}${quote})`;
+    // Stream the page through the rewriter, keeping a copy for the cache if the upstream copy was stored
+    const rewriter = createHtmlRewriteStream(ctx, contentType);
+    const chunks = [];
+    let size = 0;
+    if (response.cacheId) {
+      rewriter.on('data', chunk => {
+        size += chunk.length;
+        if (size <= config.cacheMaxEntryBytes) chunks.push(chunk);
+      });
+      rewriter.on('end', () => {
+        if (size <= config.cacheMaxEntryBytes) putRewritten(htmlCacheKey, response, Buffer.concat(chunks).toString());
       });
     }
-    
-    // Process inline style tags
-    $('style').each((_, el) => {
-      const style = $(el).html();
-      if (style) {
-        const rewritten = rewriteCss(style);
-        $(el).html(rewritten);
-        if (style !== rewritten) {
-          console.log('Rewrote CSS in <style> tag');
-        }
-      }
-    });
-    
-    // Process inline style attributes
-    $('[style]').each((_, el) => {
-      const style = $(el).attr('style');
-      if (style) {
-        const rewritten = rewriteCss(style);
-        $(el).attr('style', rewritten);
-        if (style !== rewritten) {
-          console.log(`Rewrote inline style: ${style} -> ${rewritten}`);
-        }
+    response.body.on('error', err => rewriter.destroy(err));
+    rewriter.on('error', err => {
+      // Aborted because the client left, nothing went wrong
+      if (!req.signal.aborted) {
+        recordError(err);
+        log.error('HTML rewrite failed', { url: targetUrl, err });
       }
+      res.destroy(err);
     });
-    
-    // Enhanced JavaScript URL rewriting
-    $('script').each((_, el) => {
-      let script = $(el).html();
-      if (script) {
-        const originalScript = script;
-        
-        // Rewrite websocket URLs
-        script = script.replace(/(["'`])(wss?:\/\/[^"'`]+)\1/gi, (match, quote, wsUrl) => {
-          const wsProto = proto === 'https' ? 'wss:' : 'ws:';
-          const rewritten = wsUrl.replace(/^wss?:/, wsProto).replace(/\/\/[^\/]+/, `//${host}`);
-          return quote + rewritten + quote;
-        });
-        
-        // Rewrite HTTP URLs in JavaScript strings (more comprehensive)
-        script = script.replace(/(["'`])(https?:\/\/[^"'`]+)\1/gi, (match, quote, httpUrl) => {
-          try {
-            // Skip already proxied URLs
-            if (httpUrl.includes(host)) return match;
-            const rewritten = `${proxyBase}${PROXY_ENDPOINT}?url=${encodeURIComponent(httpUrl)}`;
-            return quote + rewritten + quote;
-          } catch {
-            return match;
-          }
-        });
-        
-        // Rewrite API endpoints commonly used by YouTube/Spotify
-        script = script.replace(/(["'`])(\/api\/[^"'`]+)\1/gi, (match, quote, apiPath) => {
-          try {
-            const absUrl = new url.URL(apiPath, baseUrl).toString();
-            const rewritten = `${proxyBase}${PROXY_ENDPOINT}?url=${encodeURIComponent(absUrl)}`;
-            console.log(`Rewrote API URL: ${apiPath} -> ${rewritten}`);
-            return quote + rewritten + quote;
-          } catch {
-            return match;
-          }
-        });
-        
-        // Rewrite YouTube-specific endpoints
-        script = script.replace(/(["'`])(\/youtubei\/[^"'`]+)\1/gi, (match, quote, ytPath) => {
-          try {
-            const absUrl = new url.URL(ytPath, baseUrl).toString();
-            const rewritten = `${proxyBase}${PROXY_ENDPOINT}?url=${encodeURIComponent(absUrl)}`;
-            console.log(`Rewrote YouTube API: ${ytPath} -> ${rewritten}`);
-            return quote + rewritten + quote;
-          } catch {
-            return match;
-          }
-        });
-        
-        // Replace fetch() calls to go through proxy
-        script = script.replace(/fetch\s*\(\s*(['"`])([^'"`]+)\1/gi, (match, quote, fetchUrl) => {
-          try {
-            // Skip data URLs and already proxied URLs
-            if (fetchUrl.startsWith('data:') || fetchUrl.includes(host)) return match;
-            
-            let absUrl;
-            if (fetchUrl.startsWith('http')) {
-              absUrl = fetchUrl;
-            } else {
-              absUrl = new url.URL(fetchUrl, baseUrl).toString();
-            }
-            
-            const rewritten = `${proxyBase}${PROXY_ENDPOINT}?url=${encodeURIComponent(absUrl)}`;
-            console.log(`Rewrote fetch() URL: ${fetchUrl} -> ${rewritten}`);
-            return `fetch(${quote}${rewritten}${quote}`;
-          } catch {
-            return match;
-          }
-        });
-        
-        // Handle relative URLs in JavaScript (common pattern: '/images/something.png')
-        script = script.replace(/(["'`])(\/[^"'`\s]+\.(?:png|jpg|jpeg|gif|svg|webp|ico))\1/gi, (match, quote, relPath) => {
-          try {
-            const absUrl = new url.URL(relPath, baseUrl).toString();
-            const rewritten = `${proxyBase}${PROXY_ENDPOINT}?url=${encodeURIComponent(absUrl)}`;
-            console.log(`Rewrote JS image URL: ${relPath} -> ${rewritten}`);
-            return quote + rewritten + quote;
-          } catch {
-            return match;
-          }
-        });
-        
-        // Handle CSS background-image patterns in JavaScript
-        script = script.replace(/(['"`])url\s*\(\s*(['"]?)([^'"`\)]+?)\2\s*\)\1/gi, (match, outerQuote, innerQuote, urlPath) => {
-          if (urlPath.startsWith('data:') || urlPath.includes(proxyBase)) return match;
-          const rewritten = rewriteUrl(urlPath);
-          console.log(`Rewrote JS CSS URL: ${urlPath} -> ${rewritten}`);
-          return `${outerQuote}url(${innerQuote}${rewritten}${innerQuote})${outerQuote}`;
-        });
-        
-        if (originalScript !== script) {
-          console.log('Rewrote JavaScript URLs');
-          $(el).html(script);
-        }
-      }
-    });
-    
-    // Add base tag to help with relative URLs
-    if (!$('base').length) {
-      $('head').prepend(`<base href="${baseUrl.origin}/">`);
-    }
-    
-    // Set response headers
-    let htmlType = 'text/html';
-    const charsetMatch = contentType.match(/charset=([^;]+)/i);
-    if (charsetMatch) {
-      htmlType += `; charset=${charsetMatch[1]}`;
-    }
-    
-    res.set('Content-Type', htmlType);
-    res.set('Access-Control-Allow-Origin', '*');
-    
-    // Add some debugging info in a comment
-    const debugInfo = `
-<!-- Blaze-Cors Proxy Debug Info:
-Original URL: ${targetUrl}
-Base URL: ${baseUrl.toString()}
-Proxy Base: ${proxyBase}
--->`;
-    
-    res.send(debugInfo + $.html());
+    response.body.pipe(rewriter);
+    pipeBody(req, res, rewriter);
     
   } catch (err) {
-    console.error('Main proxy error:', err);
-    res.status(500).send('Error fetching target: ' + err.message);
+    sendProxyError(req, res, uploadError || err, targetUrl);
   }
-});
+}
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`🚀 Blaze-Cors proxy running on port ${PORT}`);
-  console.log(`📝 Usage: GET ${PROXY_ENDPOINT}?url=https://example.com`);
-  console.log(`🎯 SVG Proxy: GET /svg-proxy?url=https://example.com/image.svg`);
-  console.log(`🎨 CSS Proxy: GET /css-proxy?url=https://example.com/style.css`);
+// WebSocket proxy - accepts upgrades on WS_ENDPOINT and relays frames to the upstream socket
+const wss = new WebSocket.Server({
+  noServer: true,
+  // Answer the client with whatever subprotocol the upstream server picked
+  handleProtocols: (protocols, req) => req.upstreamProtocol || false
 });
+wss.on('headers', (headers, req) => {
+  if (req.id) headers.push(`X-Request-Id: ${req.id}`);
+});
+
+// Close codes 1005/1006/1015 are reserved and can't be sent on the wire
+function forwardClose(ws, code, reason) {
+  if (ws.readyState === WebSocket.CLOSING || ws.readyState === WebSocket.CLOSED) return;
+  const sendable = (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999);
+  if (sendable) {
+    ws.close(code, reason);
+  } else if (code === 1006) {
+    ws.terminate();
+  } else {
+    ws.close();
+  }
+}
+
+function rejectUpgrade(socket, status, message, headers = {}) {
+  metrics.requests.inc({ route: currentRoute(), method: 'GET', status });
+  if (!socket.writable) return socket.destroy();
+  const extra = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n${extra}Content-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(message)}\r\n\r\n${message}`);
+  socket.destroy();
+}
+
+async function handleUpgrade(req, socket, head, target, signature) {
+  let targetUrl;
+  try {
+    targetUrl = new url.URL(target);
+  } catch {
+    return rejectUpgrade(socket, 400, 'Bad Request');
+  }
+  // Accept http(s) targets too and map them onto the matching ws scheme
+  if (targetUrl.protocol === 'http:') targetUrl.protocol = 'ws:';
+  if (targetUrl.protocol === 'https:') targetUrl.protocol = 'wss:';
+  try {
+    validateTarget(targetUrl.toString(), ['ws:', 'wss:']);
+  } catch (err) {
+    log.info('WebSocket target blocked', { url: targetUrl.toString(), err });
+    return rejectUpgrade(socket, err.status, err.status === 400 ? 'Bad Request' : 'Forbidden');
+  }
+  
+  // Browsers don't apply CORS to WebSockets, and the upstream handshake carries the session's
+  // cookies, so pages from origins the CORS policy doesn't allow must not get a socket at all
+  const pageOrigin = req.headers.origin;
+  if (pageOrigin && !originAllowed(pageOrigin, corsPolicyFor({ path: WS_ENDPOINT }).origins)) {
+    log.info('WebSocket origin refused', { origin: pageOrigin });
+    return rejectUpgrade(socket, 403, 'Forbidden');
+  }
+  
+  // Upgrades bypass express, so read the session cookie and check access here. A socket stays open
+  // for as long as the page does, so only the request rate applies, not the concurrency limit.
+  req.sessionId = readSessionId(req);
+  try {
+    if (!(await authenticate(req, signature, targetUrl.toString()))) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+    await admit('client', clientKey(req), { rate: config.clientRateLimit });
+  } catch (err) {
+    recordError(err);
+    if (err.code === 'RATE_LIMITED') return rejectUpgrade(socket, 429, 'Too Many Requests', { 'Retry-After': err.retryAfter });
+    log.error('WebSocket access check failed', { err });
+    return rejectUpgrade(socket, 500, 'Internal Server Error');
+  }
+  
+  const protocols = (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+  
+  let cookieHeader = {};
+  try {
+    cookieHeader = await upstreamCookieHeader(req, targetUrl.toString());
+  } catch (err) {
+    log.error('WebSocket cookie lookup failed', { err });
+  }
+  
+  // The ws library sets Origin from its own option
+  const { origin, ...handshakeHeaders } = upstreamHeaders(req, targetUrl.toString());
+  let upstream;
+  try {
+    upstream = new WebSocket(targetUrl.toString(), protocols, {
+      lookup: guardedLookup,
+      handshakeTimeout: config.responseTimeout || undefined,
+      origin: `${targetUrl.protocol === 'wss:' ? 'https' : 'http'}://${targetUrl.host}`,
+      headers: { ...handshakeHeaders, ...cookieHeader }
+    });
+  } catch (err) {
+    // Duplicate or invalid subprotocols in the client's Sec-WebSocket-Protocol
+    log.info('WebSocket upstream request invalid', { url: targetUrl.toString(), err });
+    return rejectUpgrade(socket, 400, 'Bad Request');
+  }
+  
+  // Don't accept the client until the upstream handshake has succeeded
+  upstream.on('unexpected-response', (upstreamReq, upstreamRes) => {
+    log.info('WebSocket upstream refused', { url: targetUrl.toString(), status: upstreamRes.statusCode });
+    rejectUpgrade(socket, upstreamRes.statusCode, upstreamRes.statusMessage || 'Bad Gateway');
+    upstreamReq.destroy();
+  });
+  
+  upstream.on('error', err => {
+    if (upstream.clientSocket) return;
+    recordError(err);
+    log.warn('WebSocket upstream failed', { url: targetUrl.toString(), err });
+    if (err.code === 'TARGET_BLOCKED') return rejectUpgrade(socket, 403, 'Forbidden');
+    rejectUpgrade(socket, 502, 'Bad Gateway');
+  });
+  
+  upstream.on('open', () => {
+    req.upstreamProtocol = upstream.protocol;
+    wss.handleUpgrade(req, socket, head, client => {
+      upstream.clientSocket = client;
+      metrics.requests.inc({ route: 'websocket', method: 'GET', status: 101 });
+      log.info('WebSocket connected', { url: targetUrl.toString() });
+      
+      client.on('message', (data, isBinary) => {
+        if (upstream.readyState === WebSocket.OPEN) upstream.send(data, { binary: isBinary });
+      });
+      upstream.on('message', (data, isBinary) => {
+        if (client.readyState === WebSocket.OPEN) client.send(data, { binary: isBinary });
+      });
+      
+      client.on('close', (code, reason) => forwardClose(upstream, code, reason));
+      upstream.on('close', (code, reason) => forwardClose(client, code, reason));
+      
+      client.on('error', err => {
+        log.warn('WebSocket client failed', { err });
+        upstream.terminate();
+      });
+      upstream.on('error', err => {
+        log.warn('WebSocket upstream failed', { url: targetUrl.toString(), err });
+        client.terminate();
+      });
+    });
+  });
+  
+  // Client went away before the upstream handshake finished
+  socket.on('close', () => {
+    if (!upstream.clientSocket) upstream.terminate();
+  });
+}
+
+// Create the proxy: an Express router to mount anywhere (proxied URLs include the mount path) and an
+// upgrade handler for the HTTP server. `options` override the config file and environment, plus
+// `mountPath` so WebSocket upgrades under it can be recognised. Settings are process-wide, so there
+// can only be one proxy per process.
+let proxyCreated = false;
+
+function createProxy(options = {}) {
+  if (proxyCreated) {
+    const err = new Error('createProxy() can only be called once per process, its settings are process-wide');
+    err.code = 'PROXY_EXISTS';
+    throw err;
+  }
+  const { mountPath = '', ...settings } = options;
+  const loaded = loadConfig(settings);
+  proxyCreated = true;
+  configOptions = settings;
+  applyConfig(loaded);
+  
+  const router = express.Router();
+  router.use(requestContextMiddleware);
+  router.use(corsMiddleware);
+  router.use(sessionMiddleware);
+  router.use(accessMiddleware);
+  router.get(METRICS_ENDPOINT, metricsRoute);
+  router.get(['/svg-proxy', '/svg-proxy/*'], svgProxyRoute);
+  router.get(['/css-proxy', '/css-proxy/*'], cssProxyRoute);
+  router.get(['/js-proxy', '/js-proxy/*'], jsProxyRoute);
+  router.get(CLIENT_SCRIPT_ENDPOINT, clientScriptRoute);
+  router.get(WS_ENDPOINT, wsEndpointRoute);
+  router.get(universalRoutePattern(), universalRoute);
+  router.all([config.proxyEndpoint, `${config.pathPrefix}/*`], mainProxyRoute);
+  
+  // Returns false, leaving the socket alone, for upgrades that aren't ours
+  const wsPath = `${mountPath.replace(/\/$/, '')}${WS_ENDPOINT}`;
+  const upgrade = (req, socket, head) => {
+    const pathForm = req.url.startsWith(`${wsPath}/`);
+    if (!pathForm && new url.URL(req.url, 'http://localhost').pathname !== wsPath) return false;
+    const target = pathForm
+      ? decodeTargetPath(req.url.slice(wsPath.length))
+      : new url.URL(req.url, 'http://localhost').searchParams.get('url');
+    const signature = pathForm ? targetSignature(req.url.slice(wsPath.length)) : undefined;
+    req.id = requestIdFor(req);
+    requestContext.run({ requestId: req.id, route: 'websocket' }, () => handleUpgrade(req, socket, head, target, signature)
+      .catch(err => {
+        recordError(err);
+        log.error('WebSocket upgrade failed', { err });
+        rejectUpgrade(socket, 500, 'Internal Server Error');
+      }));
+    return true;
+  };
+  
+  return { router, handleUpgrade: upgrade };
+}
+
+module.exports = {
+  createProxy,
+  loadConfig,
+  reloadConfig,
+  makeRewriteContext,
+  rewriteUrl,
+  rewriteCss,
+  rewriteJs,
+  rewriteHtml,
+  createHtmlRewriteStream,
+  rewriteSvg,
+  rewriteHlsManifest,
+  rewriteDashManifest,
+  setCookieStore,
+  setCacheStore,
+  setAccessStore
+};
+
+// Command line: node fetch.js
+if (require.main === module) {
+  const app = express();
+  const proxy = createProxy();
+  app.use(proxy.router);
+  
+  const server = app.listen(config.port, () => {
+    log.info('Blaze-Cors proxy listening', {
+      port: config.port,
+      proxyEndpoint: config.proxyEndpoint,
+      wsEndpoint: WS_ENDPOINT,
+      metricsEndpoint: METRICS_ENDPOINT
+    });
+  });
+  
+  server.on('upgrade', (req, socket, head) => {
+    if (!proxy.handleUpgrade(req, socket, head)) rejectUpgrade(socket, 404, 'Not Found');
+  });
+  
+  // Reload the configuration on SIGHUP. A config that doesn't validate is reported and ignored.
+  process.on('SIGHUP', () => {
+    try {
+      reloadConfig();
+    } catch (err) {
+      log.error('Invalid configuration, keeping the current one', { problems: err.problems || [err.message] });
+    }
+  });
+}
@@ -0,0 +1,118 @@
+// The streaming HTML rewriter against a cheerio pass like the one it replaced: both rewrite the
+// same pages with the same URL helpers and must come out as the same document.
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { loadConfig, rewriteUrl, rewriteCss, rewriteJs, rewriteHtml } = require('../fetch.js');
+
+const config = loadConfig();
+const ctx = { baseUrl: new URL('https://example.com/dir/page.html'), proxyBase: 'http://proxy.test' };
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function rewriteSrcset(srcset, ctx) {
+  return srcset.split(',').map(item => {
+    const parts = item.trim().split(/\s+/);
+    parts[0] = rewriteUrl(parts[0], ctx);
+    return parts.join(' ');
+  }).join(', ');
+}
+
+// The buffered pass: load the whole page, one selector per kind of URL, serialize
+function cheerioRewrite(html, ctx) {
+  const $ = cheerio.load(html);
+  
+  let documentBase = ctx.baseUrl;
+  const baseHref = $('base[href]').first().attr('href');
+  if (baseHref) documentBase = new URL(baseHref, ctx.baseUrl);
+  const documentCtx = { ...ctx, baseUrl: documentBase };
+  
+  $('meta[charset]').attr('charset', 'utf-8');
+  $('meta[http-equiv]').each((_, el) => {
+    const httpEquiv = $(el).attr('http-equiv').toLowerCase();
+    const content = $(el).attr('content');
+    if (httpEquiv === 'content-type') $(el).attr('content', 'text/html; charset=utf-8');
+    const match = httpEquiv === 'refresh' && content && content.match(/^(\d+;\s*url=)(.*)$/i);
+    if (match) $(el).attr('content', match[1] + rewriteUrl(match[2], documentCtx));
+  });
+  
+  [
+    { sel: 'a[href], area[href], link[href]', attr: 'href' },
+    { sel: 'img[src], iframe[src], video[src], source[src]', attr: 'src' },
+    { sel: 'video[poster]', attr: 'poster' },
+    { sel: 'form[action]', attr: 'action' }
+  ].forEach(({ sel, attr }) => {
+    $(sel).each((_, el) => {
+      $(el).attr(attr, rewriteUrl($(el).attr(attr), documentCtx));
+    });
+  });
+  $('base[href]').each((_, el) => {
+    $(el).attr('href', rewriteUrl($(el).attr('href'), ctx));
+  });
+  $('img[srcset], source[srcset]').each((_, el) => {
+    $(el).attr('srcset', rewriteSrcset($(el).attr('srcset'), documentCtx));
+  });
+  $('style').each((_, el) => {
+    $(el).text(rewriteCss($(el).text(), documentCtx));
+  });
+  $('[style]').each((_, el) => {
+    $(el).attr('style', rewriteCss($(el).attr('style'), documentCtx));
+  });
+  $('script:not([src])').each((_, el) => {
+    $(el).text(rewriteJs($(el).text(), { ...documentCtx, scriptUrl: documentBase }));
+  });
+  
+  $('head').prepend(`<script src="${ctx.proxyBase}/blaze-client.js" data-proxy-base="${escapeAttr(ctx.proxyBase)}" data-path-prefix="${config.pathPrefix}" data-url-encoding="${config.urlEncoding}" data-ws-endpoint="/ws-proxy" data-target="${escapeAttr(documentBase.toString())}"></script>`);
+  if (!$('base').length) {
+    $('head').prepend(`<base href="${escapeAttr(rewriteUrl(ctx.baseUrl.href, ctx))}">`);
+  }
+  return $.html();
+}
+
+// Parse and re-serialize, so quoting, entities and implied tags don't count as differences
+function normalize(html) {
+  return cheerio.load(html).html();
+}
+
+const PAGES = {
+  'injects <base> and the client runtime at the top of <head>': `<!DOCTYPE html>
+<html><head><meta charset="iso-8859-1"><title>Page</title></head>
+<body><a href="next.html">next</a> <a href="#top">top</a></body></html>`,
+
+  'resolves against the document\'s own <base>': `<!DOCTYPE html>
+<html><head><title>Page</title><base href="/assets/"></head>
+<body><img src="logo.png"><a href="https://other.example/x?a=1&amp;b=2">out</a></body></html>`,
+
+  'rewrites inline scripts and styles': `<!DOCTYPE html>
+<html><head><style>body { background: url("bg.png") } @import url(print.css);</style>
+<script>fetch('/api/items'); const s = "</div>";</script></head>
+<body><div style="background-image: url(tile.png)">x</div>
+<script>if (a < b) location.href = 'https://example.com/done';</script></body></html>`,
+
+  'rewrites srcset candidates': `<!DOCTYPE html>
+<html><head></head><body>
+<img src="a.jpg" srcset="a-1x.jpg 1x, a-2x.jpg 2x">
+<picture><source srcset="/wide.webp 1200w,/narrow.webp 600w" media="(min-width: 600px)"><img src="n.jpg"></picture>
+</body></html>`,
+
+  'rewrites meta refresh and content-type': `<!DOCTYPE html>
+<html><head><meta http-equiv="Content-Type" content="text/html; charset=windows-1252">
+<meta http-equiv="refresh" content="5; url=/moved.html"></head><body></body></html>`,
+
+  'injects into an implied <head>': `<!DOCTYPE html>
+<title>No head</title>
+<link rel="canonical" href="/canonical">
+<p>Body starts here <a href="/">home</a>
+<form action="search"><input name="q"></form>`,
+
+  'injects into a page with no head elements': '<p style="color: red">Just <a href="a">text</a></p>'
+};
+
+for (const [name, page] of Object.entries(PAGES)) {
+  test(name, () => {
+    assert.strictEqual(normalize(rewriteHtml(page, ctx)), normalize(cheerioRewrite(page, ctx)));
+  });
+}
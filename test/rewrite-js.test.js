@@ -0,0 +1,30 @@
+// rewriteJs puts rewritten URLs back into the script as literals of the same quote type
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { rewriteJs } = require('../fetch.js');
+
+const ctx = { baseUrl: new URL('https://example.com/dir/page.html'), proxyBase: 'http://proxy.test' };
+
+// Evaluate the rewritten literal, so the check is on the string the page would see
+function literalValue(code) {
+  const rewritten = rewriteJs(code, ctx);
+  assert.notStrictEqual(rewritten, code);
+  return new Function('x', `return ${rewritten};`)('LIVE');
+}
+
+test('escapes the quote character the literal uses', () => {
+  assert.match(literalValue(String.raw`'https://example.com/it\'s'`), /^http:\/\/proxy\.test\/.*\/it's$/);
+  assert.match(literalValue(String.raw`'https://example.com/#x\'y'`), /^http:\/\/proxy\.test\/.*#x'y$/);
+});
+
+test('keeps backslashes escaped', () => {
+  assert.match(literalValue(String.raw`'https://example.com/#a\\b'`), /#a\\b$/);
+  assert.match(literalValue(String.raw`"https://example.com/#a\\b"`), /#a\\b$/);
+});
+
+test('keeps an escaped ${ in a template literal from becoming a substitution', () => {
+  const value = literalValue(String.raw`${'`'}https://example.com/?a=\${x}${'`'}`);
+  assert.ok(!value.includes('LIVE'));
+  assert.match(value, /\?a=\$\{x\}$/);
+});
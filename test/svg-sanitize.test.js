@@ -0,0 +1,42 @@
+// rewriteSvg in sanitize mode must leave no way to run script, whatever namespace prefixes are used
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { rewriteSvg } = require('../fetch.js');
+
+const ctx = { baseUrl: new URL('https://example.com/img/icon.svg'), proxyBase: 'http://proxy.test' };
+const SVG_NS = 'xmlns="http://www.w3.org/2000/svg"';
+
+function sanitize(body) {
+  return rewriteSvg(`<svg ${SVG_NS} xmlns:xlink="http://www.w3.org/1999/xlink">${body}</svg>`, ctx, true);
+}
+
+test('removes scripts and embedded documents', () => {
+  assert.doesNotMatch(sanitize('<script>alert(1)</script><rect/>'), /alert/);
+  assert.doesNotMatch(sanitize('<foreignObject><iframe src="javascript:alert(1)"/></foreignObject>'), /javascript/);
+});
+
+test('removes prefixed scripts and embedded documents', () => {
+  const scripted = sanitize('<s:script xmlns:s="http://www.w3.org/2000/svg">alert(1)</s:script><rect/>');
+  assert.doesNotMatch(scripted, /alert/);
+  assert.match(scripted, /<rect\/>/);
+  assert.doesNotMatch(sanitize('<h:iframe xmlns:h="http://www.w3.org/1999/xhtml" src="javascript:alert(1)"/>'), /javascript/);
+});
+
+test('removes event handlers and javascript: links', () => {
+  assert.doesNotMatch(sanitize('<rect onclick="alert(1)"/>'), /alert/);
+  assert.doesNotMatch(sanitize('<a xlink:href="javascript:alert(1)"><rect/></a>'), /javascript/);
+  assert.doesNotMatch(sanitize('<a l:href="javascript:alert(1)" xmlns:l="http://www.w3.org/1999/xlink"><rect/></a>'), /javascript/);
+  assert.doesNotMatch(sanitize('<a h:onclick="alert(1)" xmlns:h="http://www.w3.org/1999/xhtml"><rect/></a>'), /alert/);
+});
+
+test('removes animations that would set a handler or link', () => {
+  assert.doesNotMatch(sanitize('<a><set attributeName="l:href" to="javascript:alert(1)"/><rect/></a>'), /javascript/);
+  assert.doesNotMatch(sanitize('<rect><s:animate xmlns:s="http://www.w3.org/2000/svg" attributeName="onclick" to="alert(1)"/></rect>'), /alert/);
+});
+
+test('keeps ordinary content and rewrites its links', () => {
+  const output = sanitize('<use l:href="sprites.svg#a" xmlns:l="http://www.w3.org/1999/xlink"/><rect fill="red"/>');
+  assert.match(output, /<rect fill="red"\/>/);
+  assert.match(output, /http:\/\/proxy\.test\//);
+});